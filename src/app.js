@@ -3,6 +3,8 @@ import {Body}                  from "./body";
 import {UI}                    from "./ui";
 import {World}                 from "./world.js"
 import {Messaging}             from "./messaging/messaging.js";
+import {utils}                 from "./utils.js";
+import {CredentialVault}       from "./credential-vault.js";
 import * as LZString           from "lz-string";
 
 const DEBUG_MODE = true;
@@ -26,6 +28,12 @@ export class App extends jst.Component {
 
     this.body               = new Body(this, this.width, this.height, this.fontScale);
 
+    // Identifies this tab - it stays the same across reloads. Objects created with the world use it
+    this.pageId             = this.loadPageId()
+
+    // Broker credentials - these are kept out of the config
+    this.credentials        = new CredentialVault()
+
     this.world              = new World(this, {ui: this.ui})
 
     this.pendingSave        = false
@@ -34,6 +42,7 @@ export class App extends jst.Component {
       play: [],
       pause: [],
       reset: [],
+      credentials: [],
     }
     
     // Listen for window resize events
@@ -90,6 +99,8 @@ export class App extends jst.Component {
       config = JSON.parse(config);
       this.world.setConfig(config.world);
       this.setPendingSave(false);
+      this.saveMigratedCredentials();
+      this.checkCredentials();
       return;
     }
 
@@ -99,9 +110,82 @@ export class App extends jst.Component {
       config = JSON.parse(config);
       this.world.setConfig(config.world);
       this.setPendingSave(false);
+      this.saveMigratedCredentials();
+      this.checkCredentials();
+    }
+  }
+
+  // Ask for the credentials of any broker that doesn't have them in the vault, such as the ones
+  // in a shared scene. An encrypted vault has to be unlocked first
+  checkCredentials() {
+    if (this.credentials.isLocked()) {
+      this.ui.promptForPassphrase();
+      return;
+    }
+    const brokers = this.brokers.filter(broker => broker.needsCredentials());
+    if (brokers.length) {
+      this.ui.promptForCredentials(brokers);
+    }
+  }
+
+  unlockCredentials(passphrase) {
+    this.credentials.unlock(passphrase).then(() => {
+      this.brokers.forEach(broker => {
+        if (broker.loadCredentials()) {
+          broker.resetConnection();
+        }
+      });
+      this.saveMigratedCredentials();
+      this.checkCredentials();
+      this.credentialsChanged();
+    }).catch(err => {
+      console.warn("Couldn't unlock the credential vault:", err.message);
+      this.ui.promptForPassphrase("Wrong passphrase - try again");
+    });
+  }
+
+  // Once the credentials from an older config have been moved into the vault, save the config
+  // again so that they are no longer in local storage or the URL
+  saveMigratedCredentials() {
+    if (this.brokers.some(broker => broker.migratedCredentials)) {
+      this.brokers.forEach(broker => broker.migratedCredentials = false);
+      this.saveConfig();
     }
   }
 
+  // Let the portals that are waiting for credentials attach to their brokers
+  credentialsChanged() {
+    this.eventListeners.credentials.forEach(handler => handler());
+  }
+
+  // Give up on an encrypted vault whose passphrase has been lost
+  forgetCredentials() {
+    this.credentials.clear();
+    this.checkCredentials();
+  }
+
+  // Each browser tab gets an id that survives reloads of that tab. It is used to build
+  // client ids, find peers and name the outboxes.
+  // A duplicated tab starts with a copy of the original tab's sessionStorage, so it would get
+  // the same id and the two tabs would keep taking each other's broker connection. The
+  // 'pageIdInUse' flag is only cleared while the tab is unloaded, so if it is already set when we
+  // load, the id belongs to a tab that is still open and we make a new one
+  loadPageId() {
+    let pageId = sessionStorage.getItem("pageId");
+    if (!pageId || sessionStorage.getItem("pageIdInUse")) {
+      pageId = utils.guid().substring(0, 8);
+      sessionStorage.setItem("pageId", pageId);
+    }
+    sessionStorage.setItem("pageIdInUse", "true");
+    window.addEventListener("pagehide", () => sessionStorage.removeItem("pageIdInUse"));
+    window.addEventListener("pageshow", () => sessionStorage.setItem("pageIdInUse", "true"));
+    return pageId;
+  }
+
+  getPageId() {
+    return this.pageId;
+  }
+
   setPendingSave(val) {
     if (val && this.autoSave) {
       this.saveConfig();
@@ -183,6 +267,12 @@ export class App extends jst.Component {
     }
   }
 
+  removeEventListener(event, handler) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(h => h !== handler);
+    }
+  }
+
   getAppState() {
     return this.ui.state
   }
@@ -0,0 +1,139 @@
+// credential-vault.js - Broker credentials, kept out of the saved and shared config
+//
+// The scene config goes into the URL when it is saved, so the broker usernames and passwords
+// are kept here instead, in their own localStorage entry. Entries are keyed by the broker's URL
+// and Message VPN, so a shared scene picks up our own credentials for the same broker.
+//
+// The vault can optionally be encrypted with a passphrase (PBKDF2 + AES-GCM via WebCrypto). It
+// is then locked after a reload until the passphrase is entered again
+
+const storageKey       = "goldberg-credentials"
+const vaultVersion     = 1
+const kdfIterations    = 250000
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    {name: "PBKDF2", salt: salt, iterations: kdfIterations, hash: "SHA-256"},
+    material,
+    {name: "AES-GCM", length: 256},
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+
+export class CredentialVault {
+  constructor() {
+    this.entries = {};
+    this.key     = null;
+    this.salt    = null;
+    this.stored  = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      this.stored = JSON.parse(localStorage.getItem(storageKey));
+    } catch (err) {
+      console.warn("Ignoring unreadable credential vault:", err.message);
+      this.stored = null;
+    }
+    if (this.stored && !this.stored.encrypted) {
+      this.entries = this.stored.entries || {};
+    }
+  }
+
+  isEncrypted() {
+    return !!(this.stored && this.stored.encrypted);
+  }
+
+  // An encrypted vault is locked until unlock() is given the passphrase
+  isLocked() {
+    return this.isEncrypted() && !this.key;
+  }
+
+  // Rejects if the passphrase is wrong
+  async unlock(passphrase) {
+    if (!this.isLocked()) {
+      return;
+    }
+    const salt = fromBase64(this.stored.salt);
+    const key  = await deriveKey(passphrase, salt);
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt({name: "AES-GCM", iv: fromBase64(this.stored.iv)}, key, fromBase64(this.stored.data));
+    } catch (err) {
+      throw new Error("wrong passphrase");
+    }
+    this.entries = JSON.parse(new TextDecoder().decode(plain));
+    this.key     = key;
+    this.salt    = salt;
+  }
+
+  // Encrypt the vault with a new passphrase. An empty passphrase turns the encryption off
+  async setPassphrase(passphrase) {
+    if (this.isLocked()) {
+      throw new Error("the credential vault is locked");
+    }
+    if (passphrase) {
+      this.salt = crypto.getRandomValues(new Uint8Array(16));
+      this.key  = await deriveKey(passphrase, this.salt);
+    }
+    else {
+      this.salt = null;
+      this.key  = null;
+    }
+    return this.save();
+  }
+
+  // Forget everything, including an encrypted vault whose passphrase has been lost
+  clear() {
+    this.entries = {};
+    this.key     = null;
+    this.salt    = null;
+    this.stored  = null;
+    localStorage.removeItem(storageKey);
+  }
+
+  static keyFor(url, vpnName) {
+    return `${url}|${vpnName || ""}`;
+  }
+
+  // Returns {username, password} or undefined
+  get(key) {
+    return this.entries[key];
+  }
+
+  set(key, credentials) {
+    if (this.isLocked()) {
+      console.warn("The credential vault is locked - not saving credentials for", key);
+      return Promise.resolve();
+    }
+    this.entries[key] = {username: credentials.username || "", password: credentials.password || ""};
+    return this.save();
+  }
+
+  async save() {
+    let stored;
+    if (this.key) {
+      const iv   = crypto.getRandomValues(new Uint8Array(12));
+      const data = await crypto.subtle.encrypt({name: "AES-GCM", iv: iv}, this.key, new TextEncoder().encode(JSON.stringify(this.entries)));
+      stored = {version: vaultVersion, encrypted: true, salt: toBase64(this.salt), iv: toBase64(iv), data: toBase64(data)};
+    }
+    else {
+      stored = {version: vaultVersion, encrypted: false, entries: this.entries};
+    }
+    this.stored = stored;
+    localStorage.setItem(storageKey, JSON.stringify(stored));
+  }
+
+}
@@ -0,0 +1,219 @@
+// filter-expression.js - Filters that decide whether an object may come out of a portal
+//
+// A filter is an expression over the object's fields and the topic it arrived on, such as:
+//   type == "ball" && color == "#ff0000"
+//   topicLevel(3) == "Block" || radius > 20
+//   !(label == "") && startsWith(topic, "acme/")
+//
+// It is parsed into a tree rather than run with eval, so a filter in a shared URL can't run code.
+// Supported:
+//   - literals: "strings" or 'strings', numbers (which may be negative), true, false, null
+//   - variables: any field of the object (type, color, radius, label, velocity.x, ...) and topic
+//   - comparisons: == != < <= > >=
+//   - logic: && || ! (or and, or, not) and parentheses
+//   - functions: topicLevel(n), contains(a, b), startsWith(a, b), endsWith(a, b), lower(a), upper(a)
+
+const functions = {
+  topicLevel: (vars, level) => (vars.topic || "").split("/")[level],
+  contains:   (vars, a, b) => String(a).indexOf(String(b)) !== -1,
+  startsWith: (vars, a, b) => String(a).startsWith(String(b)),
+  endsWith:   (vars, a, b) => String(a).endsWith(String(b)),
+  lower:      (vars, a) => String(a).toLowerCase(),
+  upper:      (vars, a) => String(a).toUpperCase(),
+};
+
+const keywords = {and: "&&", or: "||", not: "!"};
+
+const tokenRegex = /\s*(?:(-?\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(==|!=|<=|>=|&&|\|\||[<>!(),]))/y;
+
+
+function tokenize(text) {
+  const tokens = [];
+  let pos      = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.substring(pos))) {
+      break;
+    }
+    tokenRegex.lastIndex = pos;
+    const match = tokenRegex.exec(text);
+    if (!match) {
+      throw new Error(`unexpected '${text.substring(pos).trim()[0]}' at position ${pos + 1}`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({type: "literal", value: parseFloat(match[1])});
+    }
+    else if (match[2] !== undefined) {
+      tokens.push({type: "literal", value: match[2].slice(1, -1).replace(/\\(.)/g, "$1")});
+    }
+    else if (match[3] !== undefined) {
+      const word = match[3];
+      if (keywords[word]) {
+        tokens.push({type: "op", value: keywords[word]});
+      }
+      else if (word === "true" || word === "false") {
+        tokens.push({type: "literal", value: word === "true"});
+      }
+      else if (word === "null") {
+        tokens.push({type: "literal", value: null});
+      }
+      else {
+        tokens.push({type: "name", value: word});
+      }
+    }
+    else {
+      tokens.push({type: "op", value: match[4]});
+    }
+    pos = tokenRegex.lastIndex;
+  }
+  return tokens;
+}
+
+// A recursive descent parser. Each node is a function of the variables
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos    = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.pos];
+    return token && token.type === "op" && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      const token = this.tokens[this.pos];
+      throw new Error(`expected '${value}' but found ${token ? `'${token.value}'` : "the end"}`);
+    }
+    this.pos++;
+  }
+
+  parse() {
+    if (!this.tokens.length) {
+      throw new Error("the filter is empty");
+    }
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`unexpected '${this.tokens[this.pos].value}'`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek("||")) {
+      this.pos++;
+      const a = left, b = this.parseAnd();
+      left = vars => truthy(a(vars)) || truthy(b(vars));
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peek("&&")) {
+      this.pos++;
+      const a = left, b = this.parseNot();
+      left = vars => truthy(a(vars)) && truthy(b(vars));
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peek("!")) {
+      this.pos++;
+      const a = this.parseNot();
+      return vars => !truthy(a(vars));
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left  = this.parsePrimary();
+    const token = this.tokens[this.pos];
+    if (token && token.type === "op" && ["==", "!=", "<", "<=", ">", ">="].indexOf(token.value) !== -1) {
+      this.pos++;
+      const right = this.parsePrimary();
+      return vars => compare(token.value, left(vars), right(vars));
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.pos++];
+    if (!token) {
+      throw new Error("the filter ends too soon");
+    }
+    if (token.type === "literal") {
+      return () => token.value;
+    }
+    if (token.type === "op" && token.value === "(") {
+      const node = this.parseOr();
+      this.expect(")");
+      return node;
+    }
+    if (token.type === "name") {
+      if (this.peek("(")) {
+        return this.parseCall(token.value);
+      }
+      const path = token.value.split(".");
+      return vars => path.reduce((value, key) => value === null || value === undefined ? undefined : value[key], vars);
+    }
+    throw new Error(`unexpected '${token.value}'`);
+  }
+
+  parseCall(name) {
+    const func = functions[name];
+    if (!func) {
+      throw new Error(`unknown function '${name}'`);
+    }
+    this.expect("(");
+    const args = [];
+    if (!this.peek(")")) {
+      args.push(this.parseOr());
+      while (this.peek(",")) {
+        this.pos++;
+        args.push(this.parseOr());
+      }
+    }
+    this.expect(")");
+    return vars => func(vars, ...args.map(arg => arg(vars)));
+  }
+}
+
+function truthy(value) {
+  return !!value;
+}
+
+// Numbers, and strings that are numbers, compare as numbers. Anything else compares as text
+function compare(op, a, b) {
+  const numeric = isNumeric(a) && isNumeric(b);
+  const x       = numeric ? Number(a) : a === null || a === undefined ? "" : String(a);
+  const y       = numeric ? Number(b) : b === null || b === undefined ? "" : String(b);
+  switch (op) {
+    case "==": return x === y;
+    case "!=": return x !== y;
+    case "<":  return x < y;
+    case "<=": return x <= y;
+    case ">":  return x > y;
+    case ">=": return x >= y;
+  }
+}
+
+function isNumeric(value) {
+  return typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(value));
+}
+
+
+export class FilterExpression {
+  // Throws an Error saying what is wrong if the text isn't a valid filter
+  constructor(text) {
+    this.text = text;
+    this.node = new Parser(tokenize(text)).parse();
+  }
+
+  // Returns true if the variables pass the filter
+  test(variables) {
+    return truthy(this.node(variables));
+  }
+}
@@ -0,0 +1,247 @@
+// amqp-messaging.js
+
+import {Messaging}    from './messaging';
+import {TopicMatcher} from './topic-matcher';
+
+var rhea = require('rhea/dist/rhea-umd.js')
+
+// How our '/' separated topics map onto AMQP addresses for the different brokers. Each format
+// gives the address prefix, the level separator and the single and multi-level wildcards
+const addressFormats = {
+  solace:   {prefix: "topic://", separator: "/", levelWildcard: "*", allLevelsWildcard: ">", queuePrefix: "queue://"},
+  artemis:  {prefix: "",         separator: ".", levelWildcard: "*", allLevelsWildcard: "#", queuePrefix: ""},
+  rabbitmq: {prefix: "/topic/",  separator: ".", levelWildcard: "*", allLevelsWildcard: "#", queuePrefix: "/amq/queue/"},
+};
+
+
+export class AmqpMessaging extends Messaging {
+  constructor(opts) {
+    super(opts);
+    this.protocol      = "amqp";
+    this.addressFormat = addressFormats[opts.addressFormat] ? opts.addressFormat : "solace";
+
+    const format                = addressFormats[this.addressFormat];
+    this.topicSeparator         = "/";
+    this.topicLevelWildcard     = format.levelWildcard;
+    this.topicAllLevelsWildcard = format.allLevelsWildcard;
+
+    // Links on the current connection
+    this.receivers = {};
+    this.senders   = {};
+  }
+
+  _connect() {
+    const container = rhea.create_container({id: this.clientId || `goldberg-${Math.random().toString(16).substring(2, 10)}`});
+    const ws        = container.websocket_connect(WebSocket);
+
+    let opts = {
+      connection_details: ws(this.url, ["binary", "AMQPWSB10", "amqp"]),
+      username:           this.username,
+      password:           this.password,
+      // Reconnection is managed by the Messaging base class
+      reconnect:          false,
+    }
+
+    console.log("Connecting to:", this.url, this.addressFormat)
+    const connection = container.connect(opts);
+    this.connection  = connection;
+    this.receivers   = {};
+    this.senders     = {};
+
+    connection.on('connection_open', () => {
+      console.log("AMQP connection open")
+      this.connectionUp();
+    });
+
+    connection.on('connection_error', (context) => {
+      const error = context.connection.get_error();
+      console.log("AMQP connection error:", error ? error.description || error.condition : "unknown");
+    });
+
+    connection.on('disconnected', (context) => {
+      // Ignore events from a connection that has already been replaced
+      if (connection !== this.connection) {
+        return;
+      }
+      console.log("AMQP connection closed:", context.error ? context.error.toString() : "");
+      this.connection = null;
+      this.connectionLost("connection closed");
+    });
+
+    connection.on('receiver_error', (context) => {
+      const error = context.receiver.error;
+      console.log("AMQP receiver error on", context.receiver.source.address, error ? error.description || error.condition : "");
+    });
+
+    connection.on('message', (context) => this.onAmqpMessage(context));
+
+    connection.on('accepted', (context) => this.publishAcked(context.delivery.publishKey));
+    connection.on('rejected', (context) => {
+      const error = context.delivery.remote_state && context.delivery.remote_state.error;
+      this.publishRejected(context.delivery.publishKey, error ? error.description || error.condition : "rejected by the broker");
+    });
+    connection.on('released', (context) => this.publishRejected(context.delivery.publishKey, "released by the broker"));
+    connection.on('modified', (context) => this.publishRejected(context.delivery.publishKey, "not delivered by the broker"));
+  }
+
+  _disconnect() {
+    if (this.connection) {
+      const connection = this.connection;
+      this.connection  = null;
+      connection.close();
+    }
+  }
+
+  _subscribe(qos, subscription) {
+    const address = this.subscriptionToAddress(subscription);
+    const source  = {address: address};
+
+    // A guaranteed subscription with a durable name uses a durable link so that the broker keeps
+    // messages for us. Otherwise the subscription goes when the link does
+    let name;
+    if (qos > 0 && this.durableName) {
+      source.durable       = 2;
+      source.expiry_policy = "never";
+      name                 = `${this.durableName}:${subscription}`;
+    }
+    else {
+      source.durable       = 0;
+      source.expiry_policy = "link-detach";
+    }
+
+    const receiver = this.connection.open_receiver({name: name, source: source});
+    receiver.subscription = subscription;
+    this.receivers[subscription] = receiver;
+  }
+
+  _unsubscribe(subscription) {
+    const receiver = this.receivers[subscription];
+    if (receiver) {
+      delete this.receivers[subscription];
+      receiver.close();
+    }
+  }
+
+  _bindToQueue(queueName) {
+    const address  = addressFormats[this.addressFormat].queuePrefix + queueName;
+    const receiver = this.connection.open_receiver({source: {address: address}});
+    receiver.queueName = queueName;
+    this.receivers[`queue:${queueName}`] = receiver;
+  }
+
+  _unbindFromQueue(queueName) {
+    this._unsubscribe(`queue:${queueName}`);
+  }
+
+  publish(topic, msg, opts = {}) {
+    if (!this.isConnected()) {
+      console.log("Not connected to AMQP broker - dropping message for", topic);
+      return Promise.reject(new Error("not connected to the AMQP broker"));
+    }
+
+    const address = this.topicToAddress(this.adjustTopic(topic));
+    let sender    = this.senders[address];
+    if (!sender) {
+      sender = this.connection.open_sender({target: {address: address}});
+      this.senders[address] = sender;
+    }
+
+    // JSON goes as a string value as before. Anything else is binary so it goes in a data section
+    const payload = this.encodePayload(msg);
+    // The broker settles the delivery as accepted, or as rejected, released or modified if it
+    // won't take the message
+    const {key, promise} = this.trackPublish();
+    const delivery = sender.send({
+      to:                     address,
+      subject:                topic,
+      content_type:           this.codec.contentType,
+      durable:                opts.qos > 0,
+      ttl:                    opts.timeToLive > 0 ? opts.timeToLive : undefined,
+      reply_to:               opts.replyTo ? this.topicToAddress(opts.replyTo) : undefined,
+      correlation_id:         opts.correlationId,
+      application_properties: opts.traceparent ? {traceparent: opts.traceparent} : undefined,
+      body:                   typeof payload === "string" ? payload : rhea.message.data_section(payload),
+    });
+    delivery.publishKey = key;
+    return promise;
+  }
+
+  onAmqpMessage(context) {
+    const message  = context.message;
+    const receiver = context.receiver;
+
+    // The subject carries our topic. Other publishers might only set the address
+    const topic = message.subject || this.addressToTopic(message.to || receiver.source.address);
+
+    // Each subscription has its own link, so a message that matches several of them arrives once
+    // on each. Each handler only takes one of the copies
+    if (receiver.queueName) {
+      this.rxMessage(topic, message, {queueName: receiver.queueName});
+    }
+    else {
+      this.rxMessage(topic, message, receiver.subscription ? {viaSubscription: receiver.subscription} : undefined);
+    }
+  }
+
+  getPayload(msg) {
+    const body = msg.body;
+    if (body && body.typecode === 0x75) {
+      // A data section
+      return body.content;
+    }
+    if (typeof body === "string") {
+      return body;
+    }
+    return JSON.stringify(body);
+  }
+
+  getContentType(msg) {
+    return msg.content_type;
+  }
+
+  getReplyInfo(msg, data) {
+    return {
+      replyTo:       msg.reply_to ? this.addressToTopic(msg.reply_to) : undefined,
+      correlationId: msg.correlation_id,
+    };
+  }
+
+  getUserProperties(msg) {
+    return msg.application_properties;
+  }
+
+  // Only Solace allows the wildcard characters in a published address, but the portal topics
+  // contain colours such as '#ff0000', so drop them for the other brokers
+  adjustTopic(topic) {
+    if (this.addressFormat === "solace") {
+      return topic;
+    }
+    return topic.replace(/[#*]/g, "");
+  }
+
+  // Convert a '/' separated topic into an address for the configured broker type
+  topicToAddress(topic) {
+    const format = addressFormats[this.addressFormat];
+    return format.prefix + topic.split("/").join(format.separator);
+  }
+
+  // Convert an address back into a '/' separated topic
+  addressToTopic(address) {
+    const format = addressFormats[this.addressFormat];
+    if (format.prefix && address.startsWith(format.prefix)) {
+      address = address.substring(format.prefix.length);
+    }
+    return address.split(format.separator).join("/");
+  }
+
+  // The subscription has already been through adjustSubscription, so only the separator differs
+  subscriptionToAddress(subscription) {
+    return this.topicToAddress(subscription);
+  }
+
+  adjustSubscription(subscription) {
+    // Convert each wildcard level into the broker's wildcard syntax
+    return TopicMatcher.convert(subscription, this.topicLevelWildcard, this.topicAllLevelsWildcard, this.addressFormat === "solace");
+  }
+
+}
@@ -0,0 +1,75 @@
+// codecs.js - Encodings for message payloads
+//
+// Each codec encodes an object into a string or Uint8Array and decodes it again. The codec's
+// content type is put in the message metadata so that receivers can pick the right one
+
+import {encode as msgpackEncode, decode as msgpackDecode} from '@msgpack/msgpack';
+
+const textDecoder = new TextDecoder();
+
+// Some brokers hand over binary payloads as a 'latin1' string - one character per byte
+function toBytes(payload) {
+  if (typeof payload !== "string") {
+    return payload;
+  }
+  const bytes = new Uint8Array(payload.length);
+  for (let i = 0; i < payload.length; i++) {
+    bytes[i] = payload.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+export const codecs = {
+  json: {
+    name:         "json",
+    label:        "JSON",
+    contentType:  "application/json",
+    contentTypes: ["application/json", "text/json"],
+    encode:       (obj)     => JSON.stringify(obj),
+    decode:       (payload) => JSON.parse(typeof payload === "string" ? payload : textDecoder.decode(payload)),
+  },
+  msgpack: {
+    name:         "msgpack",
+    label:        "MessagePack",
+    contentType:  "application/msgpack",
+    contentTypes: ["application/msgpack", "application/x-msgpack", "application/vnd.msgpack"],
+    encode:       (obj)     => msgpackEncode(obj),
+    decode:       (payload) => msgpackDecode(toBytes(payload)),
+  },
+};
+
+export const defaultCodec = "json";
+
+// Options for a select config param
+export const codecOptions = Object.values(codecs).map(codec => {return {value: codec.name, label: codec.label}});
+
+export function getCodec(name) {
+  return codecs[name] || codecs[defaultCodec];
+}
+
+// Find the codec for a content type from the message metadata. Returns undefined if we don't know it
+export function codecForContentType(contentType) {
+  if (!contentType) {
+    return undefined;
+  }
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  return Object.values(codecs).find(codec => codec.contentTypes.indexOf(type) !== -1);
+}
+
+// Guess the codec of a payload that came without a content type, such as from an older
+// build or an MQTT 3 publisher. Our JSON payloads are always objects, so start with '{'
+export function sniffCodec(payload) {
+  if (!payload || !payload.length) {
+    return undefined;
+  }
+  const first = typeof payload === "string" ? payload.charCodeAt(0) : payload[0];
+  return first === 0x7b || first === 0x5b ? codecs.json : codecs.msgpack;
+}
+
+// The size in bytes of an encoded payload
+export function payloadSize(payload) {
+  if (typeof payload === "string") {
+    return new TextEncoder().encode(payload).length;
+  }
+  return payload.length;
+}
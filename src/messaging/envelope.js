@@ -0,0 +1,160 @@
+// envelope.js - The envelope that objects travel in when they pass through a portal
+//
+// {
+//   schemaVersion: 1,             // bumped only for changes that older builds can't read
+//   type:          "ball",        // the type of object in the body
+//   originPageId:  "1a2b3c4d",    // the page that sent it
+//   originPortal:  "...",         // the guid of the portal that sent it
+//   sentAt:        1700000000000, // ms since the epoch
+//   traceparent:   "00-...-01",   // W3C trace context of this hop, so a journey is one trace
+//   expiresAt:     1700000005000, // optional - when the object's time-to-live runs out
+//   delivery:      {mode: "persistent", qos: 1, retain: false}, // optional - how it was published
+//   rejectedBy:    {portal: "...", topic: "...", filter: "..."}, // optional - set when a portal's
+//                                 // filter turned it away and sent it on to its reject topic
+//   body:          {...}          // the object's config, velocity, rotation, ...
+// }
+//
+// Fields may be added without changing the schema version, so anything unknown is ignored.
+// Messages from builds before the envelope are the bare object config and are still accepted
+
+import {traceContext} from './trace-context';
+
+export const envelopeSchemaVersion = 1;
+
+// The object types that may come in through a portal
+const portableTypes = ["ball", "block"];
+
+// Fields in the body that only make sense on the page that sent them
+const localOnlyFields = ["dontRender", "scene", "app", "useShadows"];
+
+let warnedNewerVersion = false;
+
+
+export let envelope = {
+
+  // Wrap an object's body in an envelope
+  //  Params: opts: {
+  //            type: string,
+  //            originPageId: string,
+  //            originPortal: string,
+  //            traceparent: string,
+  //            expiresAt: number,    // optional
+  //            delivery: object,     // optional
+  //            rejectedBy: object,   // optional
+  //            body: object,
+  //          }
+  create: (opts) => {
+    return {
+      schemaVersion: envelopeSchemaVersion,
+      type:          opts.type,
+      originPageId:  opts.originPageId,
+      originPortal:  opts.originPortal,
+      sentAt:        Date.now(),
+      traceparent:   opts.traceparent,
+      expiresAt:     opts.expiresAt,
+      delivery:      opts.delivery,
+      rejectedBy:    opts.rejectedBy,
+      body:          opts.body,
+    };
+  },
+
+  // Validate a received payload and return {envelope} if it is usable or {error} saying why not.
+  // The returned envelope is always in the current form, even if a legacy payload came in
+  open: (payload) => {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      return {error: "payload is not an object"};
+    }
+
+    let env;
+    if (typeof payload.schemaVersion === "undefined") {
+      // A bare object config from an older build
+      env = {schemaVersion: 0, type: payload.type, body: payload};
+    }
+    else {
+      if (!Number.isInteger(payload.schemaVersion) || payload.schemaVersion < 1) {
+        return {error: `invalid schemaVersion ${JSON.stringify(payload.schemaVersion)}`};
+      }
+      if (payload.schemaVersion > envelopeSchemaVersion && !warnedNewerVersion) {
+        console.warn(`Received an envelope with schemaVersion ${payload.schemaVersion} - this build understands ${envelopeSchemaVersion}, unknown fields are ignored`);
+        warnedNewerVersion = true;
+      }
+      env = Object.assign({}, payload);
+    }
+
+    if (typeof env.type !== "string") {
+      return {error: "missing object type"};
+    }
+    if (portableTypes.indexOf(env.type) === -1) {
+      return {error: `object type '${env.type}' can't come through a portal`};
+    }
+
+    const body = env.body;
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return {error: "missing object body"};
+    }
+
+    if (body.velocity !== undefined && !isPoint(body.velocity)) {
+      return {error: "body.velocity must be {x, y} numbers"};
+    }
+    for (const field of ["rotation", "angularVelocity"]) {
+      if (body[field] !== undefined && !Number.isFinite(body[field])) {
+        return {error: `body.${field} must be a number`};
+      }
+    }
+    if (body.guid !== undefined && typeof body.guid !== "string") {
+      return {error: "body.guid must be a string"};
+    }
+
+    // Fill in what an older or partial sender may have left out
+    const cleanBody = Object.assign({}, body, {
+      type:            env.type,
+      velocity:        body.velocity ? {x: body.velocity.x, y: body.velocity.y} : {x: 0, y: 0},
+      rotation:        body.rotation || 0,
+      angularVelocity: body.angularVelocity || 0,
+    });
+    localOnlyFields.forEach(field => delete cleanBody[field]);
+
+    // A bad trace context isn't worth dropping the object for - the next hop starts a new trace
+    if (env.traceparent !== undefined && !traceContext.isValid(env.traceparent)) {
+      console.log("Ignoring invalid traceparent", env.traceparent);
+      delete env.traceparent;
+    }
+
+    if (env.expiresAt !== undefined && !Number.isFinite(env.expiresAt)) {
+      console.log("Ignoring invalid expiresAt", env.expiresAt);
+      delete env.expiresAt;
+    }
+
+    if (env.delivery !== undefined && !isDelivery(env.delivery)) {
+      console.log("Ignoring invalid delivery", env.delivery);
+      delete env.delivery;
+    }
+
+    if (env.rejectedBy !== undefined && (!env.rejectedBy || typeof env.rejectedBy !== "object")) {
+      console.log("Ignoring invalid rejectedBy", env.rejectedBy);
+      delete env.rejectedBy;
+    }
+
+    // Only carry the legacy sender field across if there is no newer one
+    if (!env.originPortal && body.fromPortalGuid) {
+      env.originPortal = body.fromPortalGuid;
+    }
+    delete cleanBody.fromPortalGuid;
+
+    env.body = cleanBody;
+    return {envelope: env};
+  },
+
+  isPortableType: (type) => {
+    return portableTypes.indexOf(type) !== -1;
+  },
+
+};
+
+function isDelivery(d) {
+  return d && typeof d === "object" && (d.mode === "direct" || d.mode === "persistent") && [0, 1, 2].indexOf(d.qos) !== -1;
+}
+
+function isPoint(p) {
+  return p && typeof p === "object" && Number.isFinite(p.x) && Number.isFinite(p.y);
+}
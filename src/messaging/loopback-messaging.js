@@ -0,0 +1,91 @@
+// loopback-messaging.js
+
+import {Messaging} from './messaging';
+
+// A broker that needs no server. Messages are carried between the tabs of this browser over a
+// BroadcastChannel and the topic matching is done locally, so portals work offline
+
+
+export class LoopbackMessaging extends Messaging {
+  constructor(opts) {
+    super(opts);
+    this.protocol               = "loopback";
+    this.topicSeparator         = "/";
+    this.topicLevelWildcard     = "*";
+    this.topicAllLevelsWildcard = ">";
+
+    // Tabs with the same channel name see each other's messages - the message VPN is used for this
+    this.channelName = `goldberg-loopback/${this.vpnName}`;
+  }
+
+  _connect() {
+    const channel = new BroadcastChannel(this.channelName);
+    this.channel  = channel;
+
+    channel.onmessage = (e) => this.deliver(e.data);
+
+    // Connecting is immediate, but stay asynchronous like the real brokers
+    setTimeout(() => {
+      if (channel === this.channel) {
+        console.log("Loopback broker connected on", this.channelName);
+        this.connectionUp();
+      }
+    }, 0);
+  }
+
+  _disconnect() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  publish(topic, msg, opts = {}) {
+    if (!this.isConnected()) {
+      console.log("Loopback broker not connected - dropping message for", topic);
+      return Promise.reject(new Error("loopback broker not connected"));
+    }
+
+    const message = {
+      topic:          topic,
+      payload:        this.encodePayload(msg),
+      contentType:    this.codec.contentType,
+      replyTo:        opts.replyTo,
+      correlationId:  opts.correlationId,
+      userProperties: opts.traceparent ? {traceparent: opts.traceparent} : undefined,
+    };
+
+    // Other tabs get it over the channel. A BroadcastChannel doesn't deliver to itself, so
+    // do that here, as a broker would for our own subscriptions
+    this.channel.postMessage(message);
+    setTimeout(() => this.deliver(message), 0);
+    return Promise.resolve();
+  }
+
+  // Act as the broker - pass the message on only if one of our subscriptions matches
+  deliver(message) {
+    if (!this.isConnected()) {
+      return;
+    }
+    if (this.hasMatchingSubscription(message.topic)) {
+      this.rxMessage(message.topic, message);
+    }
+  }
+
+  getPayload(msg) {
+    return msg.payload;
+  }
+
+  getContentType(msg) {
+    return msg.contentType;
+  }
+
+  getUserProperties(msg) {
+    return msg.userProperties;
+  }
+
+  getReplyInfo(msg, data) {
+    return {replyTo: msg.replyTo, correlationId: msg.correlationId};
+  }
+
+}
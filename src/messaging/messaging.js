@@ -1,7 +1,28 @@
 // messaging.js
 
+import {TopicMatcher} from './topic-matcher';
+import {getCodec, codecForContentType, sniffCodec, payloadSize} from './codecs';
+
 var mqtt = require('mqtt/dist/mqtt')
 
+// Defaults for the managed reconnection
+const defaultReconnectRetries  = -1      // -1 means retry forever
+const defaultReconnectDelay    = 1000    // ms before the first retry
+const defaultReconnectMaxDelay = 30000   // ms cap for the exponential backoff
+
+const defaultRequestTimeout    = 5000    // ms to wait for a reply
+
+// Requests and replies are control traffic, so unless asked otherwise they are sent direct / QoS 0
+// rather than waiting for the broker to persist and acknowledge each one
+const controlPublishOptions    = {qos: 0, deliveryMode: "direct"}
+
+// Replies are sent to a topic under here that is unique to each session
+const inboxTopicPrefix         = "goldberg-inbox"
+
+// How long to remember a message that arrived through overlapping group and plain subscriptions,
+// so that further copies of it can be recognised
+const overlapCopyWindow        = 5000    // ms
+
 
 export class Messaging {
   constructor(opts) {
@@ -11,20 +32,82 @@ export class Messaging {
     this.password = opts.password;
     this.clientId = opts.clientId;
 
-    this.onConnect    = opts.onConnect;
-    this.onDisconnect = opts.onDisconnect;
-    this.onMessage    = opts.onMessage;
+    // If set, guaranteed subscriptions use broker state with this name that outlives the session
+    this.durableName = opts.durableName;
+
+    // How payloads are encoded when we publish. Received payloads are decoded by their content type
+    this.codec = getCodec(opts.encoding);
+
+    this.onConnect     = opts.onConnect;
+    this.onDisconnect  = opts.onDisconnect;
+    this.onMessage     = opts.onMessage;
+    this.onStateChange = opts.onStateChange;
+
+    // Reconnection settings
+    this.reconnectRetries  = typeof opts.reconnectRetries === "undefined" ? defaultReconnectRetries : opts.reconnectRetries;
+    this.reconnectDelay    = opts.reconnectDelay    || defaultReconnectDelay;
+    this.reconnectMaxDelay = opts.reconnectMaxDelay || defaultReconnectMaxDelay;
+
+    // The state of the connection - can be:
+    //   'disconnected', 'connecting', 'connected', 'reconnecting', 'failed'
+    this.state            = "disconnected";
+    this.reconnectAttempt = 0;
+    this.reconnectTimer   = null;
 
-    this.subscriptions   = [];
+    this.subscriptions     = [];
+    this.wireSubscriptions = [];
+    this.matcher           = new TopicMatcher();
+    this.queueBindings     = [];
+
+    // The first level of a shared subscription, for protocols that have them
+    this.sharedSubscriptionPrefix = null;
+    this.warnedNoSharing          = false;
+    this.groupSeq                 = 0;
+
+    // Copies of messages that matched overlapping subscriptions - see takeOverlapCopy()
+    this.overlapCopies            = new Map();
+    this.warnedOverlap            = false;
+
+    // Subscriptions that the Messaging class makes for itself, such as the reply inbox. These
+    // are kept when setSubscriptions() is called and their messages only go to their own handler
+    this.internalSubscriptions = [];
+
+    // Outstanding requests by correlation id
+    this.inboxTopic      = null;
+    this.pendingRequests = new Map();
+    this.requestSeq      = 0;
+
+    // Publishes that the broker hasn't acknowledged yet, by key
+    this.pendingPublishes = new Map();
+    this.publishSeq       = 0;
 
   }
 
   connect() {
-    // all handled in the sub-class
+    this.userDisconnected = false;
+    this.reconnectAttempt = 0;
+    this.setState("connecting");
+    this._connect();
+  }
+
+  // Open the underlying session - handled in the sub-class
+  _connect() {
   }
 
   disconnect() {
     console.log("Disconnect")
+    this.userDisconnected = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this._disconnect();
+    this.failPendingPublishes("disconnected before the broker acknowledged the message");
+    this.setState("disconnected");
+  }
+
+  // Close the underlying session - handled in the sub-class
+  _disconnect() {
   }
 
   dispose() {
@@ -32,8 +115,83 @@ export class Messaging {
     this.disconnect();
   }
 
-  subscribe(qos, subscription) {
-    console.log("added sub", subscription)
+  isConnected() {
+    return this.state === "connected";
+  }
+
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    console.log("Connection state:", this.state, "->", state);
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state, this);
+    }
+  }
+
+  // Called by the sub-class when the session has come up. All subscriptions and
+  // queue binds are re-applied since the new session has none of them
+  connectionUp() {
+    this.reconnectAttempt = 0;
+    this.setState("connected");
+
+    this.wireSubscriptions.forEach(sub => {
+      console.log("subscribing:", sub)
+      this._subscribe(sub.qos, this.adjustSubscription(sub.wireSubscription));
+    });
+
+    this.queueBindings.forEach(queueName => this._bindToQueue(queueName));
+
+    if (this.onConnect) {
+      this.onConnect(this);
+    }
+  }
+
+  // Called by the sub-class when the session has gone down or failed to come up.
+  // Unless we were asked to disconnect, this schedules the next connection attempt
+  connectionLost(reason) {
+    if (this.userDisconnected || this.reconnectTimer) {
+      return;
+    }
+
+    console.log("Connection lost:", reason);
+
+    // Anything not yet acknowledged went with the old session
+    this.failPendingPublishes("connection lost before the broker acknowledged the message");
+
+    if (this.state === "connected" && this.onDisconnect) {
+      this.onDisconnect(this);
+    }
+
+    if (this.reconnectRetries >= 0 && this.reconnectAttempt >= this.reconnectRetries) {
+      console.log(`Giving up after ${this.reconnectAttempt} reconnect attempts`);
+      this.setState("failed");
+      return;
+    }
+
+    // Exponential backoff with a bit of jitter so that many pages don't all retry in lock step
+    const backoff = Math.min(this.reconnectMaxDelay, this.reconnectDelay * Math.pow(2, this.reconnectAttempt));
+    const delay   = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+    this.reconnectAttempt++;
+    this.setState("reconnecting");
+
+    console.log(`Reconnect attempt ${this.reconnectAttempt} in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  // Add a subscription. If a handler is given, messages matching the subscription go to it
+  // rather than to onMessage
+  subscribe(qos, subscription, handler) {
+    this.setSubscriptions(this.subscriptions.concat([{subscription: subscription, qos: qos, handler: handler}]));
+  }
+
+  // Add the subscription to the underlying session - handled in the sub-class
+  _subscribe(qos, subscription) {
   }
 
   // Declare the set of subscriptions
@@ -41,54 +199,434 @@ export class Messaging {
   // Each entry in the array is an object with the following properties:
   //   subscription: the subscription string
   //   qos: the QoS level
+  //   handler: optional function(topic, msg, data, match) for messages matching this subscription
+  //   group: optional consumer group - each message goes to only one member of the group
+  //   accept: optional function(data) - if it returns false the handler isn't given the message,
+  //           and a consumer group picks one of its other members instead
+  // The same subscription may appear more than once (e.g. with different handlers) - it is
+  // only added to the session once, with the highest qos asked for
   setSubscriptions(subscriptions) {
 
+    const allSubscriptions  = subscriptions.concat(this.internalSubscriptions);
+    const wireSubscriptions = this.getWireSubscriptions(allSubscriptions);
+
     // First, unsubscribe from any subscriptions that are no longer needed
-    this.subscriptions.forEach(sub => {
-      if (!subscriptions.find(s => s.subscription === sub.subscription && s.qos === sub.qos)) {
-        this.unsubscribe(sub.id); 
+    this.wireSubscriptions.forEach(sub => {
+      if (!wireSubscriptions.find(s => s.wireSubscription === sub.wireSubscription && s.qos === sub.qos)) {
+        console.log("removed sub", sub.wireSubscription)
+        if (this.isConnected()) {
+          this._unsubscribe(this.adjustSubscription(sub.wireSubscription));
+        }
       }
     });
 
     // Now, subscribe to any new subscriptions
-    subscriptions.forEach(sub => {
-      if (!this.subscriptions.find(s => s.subscription === sub.subscription && s.qos === sub.qos)) {
-        this.subscribe(sub.qos, sub.subscription);
+    wireSubscriptions.forEach(sub => {
+      if (!this.wireSubscriptions.find(s => s.wireSubscription === sub.wireSubscription && s.qos === sub.qos)) {
+        console.log("added sub", sub.wireSubscription)
+        if (this.isConnected()) {
+          this._subscribe(sub.qos, this.adjustSubscription(sub.wireSubscription));
+        }
       }
     });
 
     console.log("setSubscriptions", subscriptions)
-    this.subscriptions = subscriptions;
+    this.subscriptions     = subscriptions;
+    this.wireSubscriptions = wireSubscriptions;
+
+    // Rebuild the local matching for dispatch. A subscription is only 'shared' if the broker
+    // really has it as a shared subscription
+    this.matcher.clear();
+    wireSubscriptions.forEach(wire => {
+      wire.members.forEach(sub => this.matcher.add(sub.subscription, {
+        qos:      sub.qos,
+        handler:  sub.handler,
+        internal: sub.internal,
+        group:    sub.group,
+        accept:   sub.accept,
+        wire:     this.adjustSubscription(wire.wireSubscription),
+        shared:   wire.wireSubscription !== sub.subscription,
+      }));
+    });
+
+  }
+
+  // Reduce a list of subscriptions to one entry per subscription that goes to the broker, with
+  // the highest qos and the subscriptions that make it up. Subscriptions in a consumer group are
+  // a different subscription on the broker
+  getWireSubscriptions(subscriptions) {
+    const wireSubscriptions = [];
+    subscriptions.forEach(sub => {
+      const wireSubscription = this.getWireSubscription(sub);
+      const existing         = wireSubscriptions.find(s => s.wireSubscription === wireSubscription);
+      if (!existing) {
+        wireSubscriptions.push({subscription: sub.subscription, wireSubscription: wireSubscription, qos: sub.qos, members: [sub]});
+        return;
+      }
+      existing.members.push(sub);
+      if (sub.qos > existing.qos) {
+        existing.qos = sub.qos;
+      }
+    });
+    return wireSubscriptions;
+  }
 
+  // The subscription to make on the broker. One in a consumer group becomes a shared subscription,
+  // e.g. $share/<group>/<subscription>, so that the broker hands each message to only one member
+  getWireSubscription(sub) {
+    if (!sub.group) {
+      return sub.subscription;
+    }
+    if (!this.sharedSubscriptionPrefix) {
+      if (!this.warnedNoSharing) {
+        console.warn(`${this.protocol} has no shared subscriptions - consumer group '${sub.group}' gets a copy of every message`);
+        this.warnedNoSharing = true;
+      }
+      return sub.subscription;
+    }
+    return `${this.sharedSubscriptionPrefix}/${sub.group}/${sub.subscription}`;
   }
 
   getSubscription(subscription) {
     return this.subscriptions.find(s => s.subscription === subscription);
   }
 
+  // Remove all entries for the subscription
   unsubscribe(subscription) {
-    console.log("removed sub", subscription)
-    this._unsubscribe(subscription);
+    this.setSubscriptions(this.subscriptions.filter(s => s.subscription !== subscription));
+  }
+
+  // Remove the subscription from the underlying session - handled in the sub-class
+  _unsubscribe(subscription) {
+  }
+
+  // Return true if the topic matches any of our subscriptions
+  hasMatchingSubscription(topic) {
+    return this.matcher.match(topic).length > 0;
+  }
+
+  // Bind to a named queue. The bind is remembered so that it is re-applied after a reconnect
+  bindToQueue(queueName) {
+    if (this.queueBindings.indexOf(queueName) === -1) {
+      this.queueBindings.push(queueName);
+    }
+    if (this.isConnected()) {
+      this._bindToQueue(queueName);
+    }
+  }
+
+  _bindToQueue(queueName) {
+    console.warn(`Binding to queue ${queueName} is not supported by the ${this.protocol} protocol`);
+  }
+
+  unbindFromQueue(queueName) {
+    const index = this.queueBindings.indexOf(queueName);
+    if (index === -1) {
+      return;
+    }
+    this.queueBindings.splice(index, 1);
+    if (this.isConnected()) {
+      this._unbindFromQueue(queueName);
+    }
+  }
+
+  _unbindFromQueue(queueName) {
+  }
+
+  // Convert the subscription into the wildcard syntax of the protocol
+  adjustSubscription(subscription) {
+    return subscription;
   }
 
+  // Convert a topic that is about to be published into a form the protocol allows
+  adjustTopic(topic) {
+    return topic;
+  }
+
+  // Publish an object - handled in the sub-class. The opts can have:
+  //   qos, retain, traceparent, replyTo, correlationId,
+  //   deliveryMode: "direct" or "persistent" (the default) for brokers that have both,
+  //   userProperties: {name: value, ...},
+  //   timeToLive: ms before the broker may discard the message
+  // Options that the protocol has no way to carry are ignored. Returns a promise that resolves
+  // once the broker has accepted the message, or rejects with the reason the broker gave
   publish(topic, msg, opts) {
+    return Promise.resolve();
   }
 
-  rxMessage(topic, msg) {
-    console.log("rxMessage", topic, msg)
-    let data;
+  // Start tracking a publish that the broker will acknowledge. Returns the key to pass to
+  // publishAcked() or publishRejected() and the promise to hand back from publish()
+  trackPublish() {
+    const key     = `${++this.publishSeq}`;
+    const promise = new Promise((resolve, reject) => {
+      this.pendingPublishes.set(key, {resolve: resolve, reject: reject});
+    });
+    return {key: key, promise: promise};
+  }
+
+  publishAcked(key) {
+    const pending = this.pendingPublishes.get(key);
+    if (pending) {
+      this.pendingPublishes.delete(key);
+      pending.resolve();
+    }
+  }
+
+  publishRejected(key, reason) {
+    const pending = this.pendingPublishes.get(key);
+    if (pending) {
+      this.pendingPublishes.delete(key);
+      pending.reject(new Error(reason || "rejected by the broker"));
+    }
+  }
+
+  failPendingPublishes(reason) {
+    const keys = [...this.pendingPublishes.keys()];
+    keys.forEach(key => this.publishRejected(key, reason));
+  }
+
+  // Publish a request and resolve with the data of the first reply. Rejects if there is no
+  // reply within opts.timeout ms. The replier should use reply() with the match object that
+  // its handler was given
+  request(topic, msg, opts = {}) {
+    return this.sendRequest(topic, msg, opts, false);
+  }
+
+  // Publish a request and resolve with the data of every reply that arrives within opts.timeout
+  // ms. Used when any number of others may answer, for example discovery
+  requestAll(topic, msg, opts = {}) {
+    return this.sendRequest(topic, msg, opts, true);
+  }
+
+  sendRequest(topic, msg, opts, collect) {
+    if (!this.isConnected()) {
+      return Promise.reject(new Error(`Not connected - can't send request to ${topic}`));
+    }
+
+    this.openInbox();
+
+    const correlationId = `${this.inboxId}-${++this.requestSeq}`;
+    const timeout       = opts.timeout || defaultRequestTimeout;
+
+    return new Promise((resolve, reject) => {
+      const request = {collect: collect, replies: [], resolve: resolve};
+      request.timer = setTimeout(() => {
+        this.pendingRequests.delete(correlationId);
+        if (collect) {
+          resolve(request.replies);
+        }
+        else {
+          reject(new Error(`No reply to request on ${topic} within ${timeout}ms`));
+        }
+      }, timeout);
+      this.pendingRequests.set(correlationId, request);
+
+      this.publish(topic, msg, Object.assign({}, controlPublishOptions, opts, {replyTo: this.inboxTopic, correlationId: correlationId}))
+        .catch(err => {
+          clearTimeout(request.timer);
+          this.pendingRequests.delete(correlationId);
+          reject(err);
+        });
+    });
+  }
+
+  // Send a reply to a received request. The match is the one given to the message handler
+  reply(match, msg, opts = {}) {
+    if (!match || !match.replyTo) {
+      console.log("Can't reply - the message had no reply-to topic");
+      return;
+    }
+    this.publish(match.replyTo, msg, Object.assign({}, controlPublishOptions, opts, {correlationId: match.correlationId}))
+      .catch(err => console.log("Failed to send reply:", err.message));
+  }
+
+  // Subscribe to our reply topic the first time it is needed
+  openInbox() {
+    if (this.inboxTopic) {
+      return;
+    }
+    this.inboxId    = Math.random().toString(16).substring(2, 10);
+    this.inboxTopic = `${inboxTopicPrefix}/${(this.clientId || "goldberg").replace(/[^a-zA-Z0-9_-]/g, "_")}/${this.inboxId}`;
+    this.internalSubscriptions.push({
+      subscription: this.inboxTopic,
+      qos:          0,
+      internal:     true,
+      handler:      (topic, msg, data, match) => this.onReply(data, match),
+    });
+    this.setSubscriptions(this.subscriptions);
+  }
+
+  onReply(data, match) {
+    const request = this.pendingRequests.get(match.correlationId);
+    if (!request) {
+      // Late, or for a request that has already had its reply
+      return;
+    }
+    if (request.collect) {
+      request.replies.push(data);
+      return;
+    }
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(match.correlationId);
+    request.resolve(data);
+  }
+
+  // Where to send a reply to a received message and the correlation id to go with it. This
+  // default is for protocols that have no headers for them, so they are carried in the payload
+  getReplyInfo(msg, data) {
+    if (data && (data._replyTo || data._correlationId)) {
+      return {replyTo: data._replyTo, correlationId: data._correlationId};
+    }
+    return {};
+  }
+
+  // Add the reply-to topic and correlation id to the payload, for protocols without headers for them
+  embedReplyInfo(msg, opts) {
+    if (!opts.replyTo && !opts.correlationId) {
+      return msg;
+    }
+    return Object.assign({}, msg, {_replyTo: opts.replyTo, _correlationId: opts.correlationId});
+  }
+
+  // Encode an object for publishing with the configured codec
+  encodePayload(msg) {
+    const payload = this.codec.encode(msg);
+    console.log(`Encoded ${this.codec.label} payload: ${payloadSize(payload)} bytes`);
+    return payload;
+  }
+
+  // Decode the payload of a received message. The content type in the message says how it was
+  // encoded. Without one, the encoding is guessed from the payload. Returns null on failure
+  decodePayload(topic, msg) {
+    const payload     = this.getPayload(msg);
+    const contentType = this.getContentType(msg);
+    const codec       = codecForContentType(contentType) || sniffCodec(payload);
+    if (!codec) {
+      console.log("Unknown payload encoding of message:", topic, contentType);
+      return null;
+    }
     try {
-      data = JSON.parse(msg.toString());
+      return codec.decode(payload);
     }
     catch(e) {
-      console.log("Failed to get JSON payload of message:", topic, msg.toString());
-      data = null;
+      console.log(`Failed to get ${codec.label} payload of message:`, topic, payload);
+      return null;
+    }
+  }
+
+  // Decode a received message and dispatch it. Messages that match subscriptions with a handler
+  // go to each of those handlers once, along with a match object saying which subscription(s)
+  // matched, and the replyTo and correlationId if it was a request. Everything else goes to
+  // onMessage. The source, if given, says where the message came from - e.g. {queueName: "q1"} -
+  // and queue messages always go to onMessage. Protocols that get a separate copy for each
+  // subscription give the (adjusted) subscription it came through as {viaSubscription: "..."},
+  // so that a handler only gets the copy from the first of its subscriptions that matched
+  rxMessage(topic, msg, source) {
+    console.log("rxMessage", topic, msg)
+    const data = this.decodePayload(topic, msg);
+
+    const fromQueue = source && source.queueName;
+    let matches     = fromQueue ? [] : this.matcher.match(topic);
+
+    // Messages for our own subscriptions, such as replies, go nowhere else
+    const internal = matches.filter(entry => entry.internal);
+    if (internal.length) {
+      matches = internal;
+    }
+
+    matches = this.takeOverlapCopy(topic, msg, matches);
+
+    const info = Object.assign(this.getReplyInfo(msg, data), source);
+
+    // Group the matches by handler so that a handler with overlapping subscriptions is only called once
+    const handlers = new Map();
+    matches.forEach(entry => {
+      if (!entry.handler || (entry.accept && !entry.accept(data))) {
+        return;
+      }
+      if (!handlers.has(entry.handler)) {
+        handlers.set(entry.handler, []);
+      }
+      handlers.get(entry.handler).push(entry);
+    });
+
+    const via = source && source.viaSubscription;
+    if (via) {
+      handlers.forEach((entries, handler) => {
+        if (entries[0].wire !== via) {
+          handlers.delete(handler);
+        }
+      });
     }
 
-    if (this.onMessage) {
-      this.onMessage(topic, msg, data);
+    // The broker picked this session out of those in a consumer group, but more than one member
+    // of the group may be on this session. Only one of them gets the message
+    const groups = new Map();
+    handlers.forEach((entries, handler) => {
+      const group = entries.every(entry => entry.group) ? entries[0].group : null;
+      if (group) {
+        handlers.delete(handler);
+        groups.set(group, (groups.get(group) || []).concat([[handler, entries]]));
+      }
+    });
+    groups.forEach(members => {
+      const [handler, entries] = members[this.groupSeq++ % members.length];
+      handlers.set(handler, entries);
+    });
+
+    handlers.forEach((entries, handler) => {
+      const subscriptions = entries.map(entry => entry.subscription);
+      handler(topic, msg, data, Object.assign({subscription: subscriptions[0], subscriptions: subscriptions, group: entries[0].group}, info));
+    });
+
+    if (!handlers.size && !via && this.onMessage) {
+      const subscriptions = matches.map(entry => entry.subscription);
+      this.onMessage(topic, msg, data, Object.assign({subscription: subscriptions[0], subscriptions: subscriptions}, info));
+    }
+
+  }
+
+  // A session can have a consumer group's shared subscription and a plain subscription (or another
+  // group's) that both match a message. The broker then sends one copy for the plain
+  // subscriptions and one more for each group that picked this session, and nothing says which
+  // copy came through which subscription. So the copies are counted instead: the first goes to
+  // the plain subscriptions and each further one to the next group, and a message that has been
+  // to all of them is a duplicate. Returns the matches that this copy should go to
+  takeOverlapCopy(topic, msg, matches) {
+    const plain  = matches.filter(entry => !entry.shared);
+    const groups = [...new Set(matches.filter(entry => entry.shared).map(entry => entry.group))].sort();
+    const slots  = (plain.length ? [plain] : []).concat(groups.map(group => matches.filter(entry => entry.shared && entry.group === group)));
+    if (slots.length < 2) {
+      return matches;
     }
 
+    if (!this.warnedOverlap) {
+      console.warn(`Subscriptions in a consumer group overlap with other subscriptions on the same ${this.protocol} session (e.g. for ${topic}). The copies the broker sends can't be told apart, so each is given to one of them in turn - put overlapping portals in the same group, or none, to be sure which portal gets a message`);
+      this.warnedOverlap = true;
+    }
+
+    // Forget copies from long enough ago that no more will come. The map is in arrival order
+    const now = Date.now();
+    for (const [key, copy] of this.overlapCopies) {
+      if (now - copy.time < overlapCopyWindow) {
+        break;
+      }
+      this.overlapCopies.delete(key);
+    }
+
+    const key  = `${topic}\n${payloadKey(this.getPayload(msg))}`;
+    const copy = this.overlapCopies.get(key) || {time: now, count: 0};
+    this.overlapCopies.set(key, copy);
+    return slots[copy.count++] || [];
+  }
+
+  // Return the payload of a received message as a string or Uint8Array - the message format is protocol specific
+  getPayload(msg) {
+    return msg.toString();
+  }
+
+  // Return the content type of a received message, if the protocol carries one
+  getContentType(msg) {
   }
 
   getUserProperties(msg) {
@@ -96,3 +634,7 @@ export class Messaging {
 
 }
 
+// A string that is the same for identical payloads, whether they are strings or binary
+function payloadKey(payload) {
+  return typeof payload === "string" ? payload : new TextDecoder("latin1").decode(payload);
+}
@@ -1,9 +1,26 @@
 // messaging.js
 
-import {Messaging} from './messaging';
+import {Messaging}    from './messaging';
+import {TopicMatcher} from './topic-matcher';
 
 var mqtt = require('mqtt/dist/mqtt')
 
+// Seconds that the broker keeps an MQTT 5 session after we disconnect
+const sessionExpiryInterval = 3600
+
+// The reasons a broker can give for refusing a subscription. MQTT 3.1.1 only has 0x80
+const subackReasons = {
+  0x80: "Unspecified error",
+  0x83: "Implementation specific error",
+  0x87: "Not authorized",
+  0x8F: "Topic filter invalid",
+  0x91: "Packet identifier in use",
+  0x97: "Quota exceeded",
+  0x9E: "Shared subscriptions not supported",
+  0xA1: "Subscription identifiers not supported",
+  0xA2: "Wildcard subscriptions not supported",
+};
+
 export class MqttMessaging extends Messaging {
   constructor(opts) {
     super(opts);
@@ -11,86 +28,184 @@ export class MqttMessaging extends Messaging {
     this.topicSeparator         = "/";
     this.topicLevelWildcard     = "+";
     this.topicAllLevelsWildcard = "#";
+
+    // Consumer groups use $share/<group>/<filter>. It is part of MQTT 5, but most brokers
+    // also accept it from 3.1.1 clients
+    this.sharedSubscriptionPrefix = "$share";
+
+    // 4 is MQTT 3.1.1. Version 5 adds message properties
+    this.protocolVersion        = opts.protocolVersion === 5 ? 5 : 4;
   }
 
-  connect() {
+  _connect() {
     let opts = {
-      username: this.username,
-      password: this.password,
-      clientId: this.clientId,
-      clean:    false
+      username:        this.username,
+      password:        this.password,
+      clientId:        this.clientId,
+      // Only a durable session is kept by the broker after we disconnect
+      clean:           !this.durableName,
+      protocolVersion: this.protocolVersion,
+      // Reconnection is managed by the Messaging base class
+      reconnectPeriod: 0,
+    }
+
+    // In MQTT 5 a session ends with the connection unless it is given an expiry, which would
+    // lose the messages queued for our guaranteed subscriptions
+    if (this.protocolVersion === 5 && this.durableName) {
+      opts.properties = {sessionExpiryInterval: sessionExpiryInterval};
     }
 
     console.log("Connecting to:", this.url, opts)
-    this.client  = mqtt.connect(this.url, opts)
+    const client = mqtt.connect(this.url, opts)
+    this.client  = client;
  
-    this.client.on('connect', () => {
+    client.on('connect', () => {
       console.log("Connected!!", this.subscriptions)
-      if (this.subscriptions.length) {
-        this.subscriptions.forEach(sub => {
-          console.log("subscribing:", sub)
-          this.client.subscribe(sub.subscription, {qos: sub.qos, nl: true});
-        });
+      this.connectionUp();
+    })
+
+    client.on('close', () => {
+      // Ignore events from a client that has already been replaced
+      if (client !== this.client) {
+        return;
       }
+      console.log("Connection closed:", this.url)
+      client.end(true);
+      this.client = null;
+      this.connectionLost("connection closed");
     })
-     
-    this.client.on('message', (topic, msg) => this.rxMessage(topic, msg));
+
+    client.on('error', (err) => {
+      console.log("MQTT error:", err.toString());
+    })
+
+    // Keep the whole packet so that the MQTT 5 properties are available
+    client.on('message', (topic, payload, packet) => this.rxMessage(topic, packet));
   }
 
-  disconnect() {
-    super.disconnect();
-    this.client.end();
+  _disconnect() {
+    if (this.client) {
+      const client = this.client;
+      this.client  = null;
+      client.end();
+    }
   }
 
-  subscribe(qos, subscription) {
-    subscription = this.adjustSubscription(subscription);
-    
-    super.subscribe(qos, subscription);
+  _subscribe(qos, subscription) {
+    // No-local is off since the session is shared by all portals on the page
+    this.client.subscribe(subscription, {qos: qos, nl: false}, (err, granted) => {
+      if (err) {
+        console.log(`Failed to subscribe to ${subscription}:`, err.toString());
+        return;
+      }
+      // A refused subscription comes back as a reason code of 0x80 or more in place of the qos
+      (granted || []).forEach(grant => {
+        if (grant.qos & 0x80) {
+          const reason = subackReasons[grant.qos] || "Unknown reason";
+          console.warn(`Broker refused subscription to ${grant.topic}: ${reason} (0x${grant.qos.toString(16)})`);
+        }
+      });
+    });
+  }
 
-    if (this.client) {      
-      this.client.subscribe(subscription, {qos: qos});
+  _unsubscribe(subscription) {
+    this.client.unsubscribe(subscription);
+  }
+
+  publish(topic, msg, opts = {}) {
+    if (!this.isConnected()) {
+      console.log("Not connected to MQTT broker - dropping message for", topic);
+      return Promise.reject(new Error("not connected to the MQTT broker"));
     }
+    const publishOpts = {qos: opts.qos, retain: opts.retain};
 
-    console.log("added sub", subscription)
+    if (this.protocolVersion === 5) {
+      publishOpts.properties = this.getPublishProperties(opts);
+    }
+    else {
+      // MQTT 3.1.1 has no message headers. Receivers work out the encoding from the payload and
+      // any reply-to topic and correlation id go in the payload
+      msg = this.embedReplyInfo(msg, opts);
+    }
 
+    // QoS 0 completes once it is written. QoS 1 waits for the PUBACK, which in MQTT 5 can
+    // carry a failure reason code such as 'Quota exceeded' or 'Not authorized'
+    const {key, promise} = this.trackPublish();
+    this.client.publish(this.adjustTopic(topic), this.encodePayload(msg), publishOpts, (err) => {
+      if (err) {
+        console.log(`Publish to ${topic} failed:`, err.message);
+        this.publishRejected(key, err.message);
+      }
+      else {
+        this.publishAcked(key);
+      }
+    });
+    return promise;
   }
 
-  unsubscribe(subscription) {
-    super.unsubscribe(subscription);
-  }
+  // The MQTT 5 properties for a publish
+  getPublishProperties(opts) {
+    const properties = {contentType: this.codec.contentType};
 
-  _unsubscribe(subscription) {
-    if (this.client) {
-      this.client.unsubscribe(subscription);
+    // The trace context goes in the user properties, where tracing tools look for it
+    const userProperties = Object.assign({}, opts.userProperties);
+    if (opts.traceparent) {
+      userProperties.traceparent = opts.traceparent;
+    }
+    if (Object.keys(userProperties).length) {
+      properties.userProperties = userProperties;
     }
-  }
 
-  publish(topic, msg, opts) {
-    this.client.publish(topic, JSON.stringify(msg), opts);
-  }
+    // The expiry interval is in seconds
+    if (opts.timeToLive > 0) {
+      properties.messageExpiryInterval = Math.ceil(opts.timeToLive / 1000);
+    }
 
-  rxMessage(topic, msg) {
-    console.log("rxMessage", topic, msg)
-    let data;
-    try {
-      data = JSON.parse(msg.toString());
+    if (opts.replyTo) {
+      properties.responseTopic = opts.replyTo;
     }
-    catch(e) {
-      console.log("Failed to get JSON payload of message:", topic, msg.toString());
-      data = null;
+    if (opts.correlationId) {
+      properties.correlationData = opts.correlationId;
     }
 
-    let cbs = this.getMessageCallbacks(topic);
+    return properties;
+  }
 
-    cbs.forEach(cb => cb(topic, msg, data));
+  // Keep the raw bytes - the payload may not be text
+  getPayload(packet) {
+    return packet.payload;
+  }
+
+  getUserProperties(packet) {
+    return packet.properties ? packet.properties.userProperties : undefined;
+  }
 
+  getContentType(packet) {
+    return packet.properties ? packet.properties.contentType : undefined;
+  }
+
+  // MQTT 5 has headers for these. Otherwise they may have been put in the payload
+  getReplyInfo(packet, data) {
+    const properties = packet.properties;
+    if (properties && (properties.responseTopic || properties.correlationData)) {
+      return {
+        replyTo:       properties.responseTopic,
+        correlationId: properties.correlationData ? properties.correlationData.toString() : undefined,
+      };
+    }
+    return super.getReplyInfo(packet, data);
+  }
+
+  // MQTT doesn't allow the wildcard characters in a published topic, but the portal topics
+  // contain colours such as '#ff0000', so drop them
+  adjustTopic(topic) {
+    return topic.replace(/[#+]/g, "");
   }
 
   adjustSubscription(subscription) {
-    // Convert * to + and > to #    
-    return subscription.replace(/\*/g, this.topicLevelWildcard).replace(/>/g, this.topicAllLevelsWildcard);
+    // Convert * to + and > to #
+    return TopicMatcher.convert(subscription, this.topicLevelWildcard, this.topicAllLevelsWildcard);
   }
 
 
 }
-
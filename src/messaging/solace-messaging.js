@@ -1,9 +1,14 @@
 // messaging.js
 
-import {Messaging} from './messaging';
+import {Messaging}    from './messaging';
+import {TopicMatcher} from './topic-matcher';
+import {traceContext} from './trace-context';
 //import {solace}    from 'solclientjs/lib-browser/solclient.js';
 let solace = require('solclientjs/lib-browser/solclient.js');
 
+// The solace factory must only be initialized once per page
+let factoryInitialized = false;
+
 
 export class SolaceMessaging extends Messaging {
   constructor(opts) {
@@ -12,135 +17,247 @@ export class SolaceMessaging extends Messaging {
     this.topicSeparator         = "/";
     this.topicLevelWildcard     = "*";
     this.topicAllLevelsWildcard = ">";
+    this.messageConsumers       = [];
+    this.queueConsumers         = {};
+
+    // Guaranteed subscriptions are added to a queue rather than the session
+    this.guaranteedConsumer      = null;
+    this.guaranteedConsumerUp    = false;
+    this.guaranteedSubscriptions = [];
+
+    // Consumer groups use Solace shared subscriptions, #share/<group>/<subscription>
+    this.sharedSubscriptionPrefix = "#share";
   }
 
-  connect() {
+  _connect() {
     let opts = {
-      url:      this.url,
-      userName: this.username,
-      password: this.password,
-      vpnName:  this.vpnName || "default",
-      noLocal:  true,
+      url:              this.url,
+      userName:         this.username,
+      password:         this.password,
+      vpnName:          this.vpnName || "default",
+      // The session is shared by all portals on the page, so they need to see each other's messages
+      noLocal:          false,
+      // Reconnection is managed by the Messaging base class
+      connectRetries:   0,
+      reconnectRetries: 0,
     }
 
-    const factoryProps   = new solace.SolclientFactoryProperties();
-    factoryProps.profile = solace.SolclientFactoryProfiles.version10;
-    solace.SolclientFactory.init(factoryProps);
+    if (!factoryInitialized) {
+      const factoryProps   = new solace.SolclientFactoryProperties();
+      factoryProps.profile = solace.SolclientFactoryProfiles.version10;
+      solace.SolclientFactory.init(factoryProps);
+      factoryInitialized = true;
+    }
 
     // Connect to Solace messaging
     console.log("Connecting to Solace messaging", opts);
-    this.session = solace.SolclientFactory.createSession(opts);
-    try {
-      this.session.connect();
-    } catch (error) {
-      console.log(error.toString());
-    }
+    const session = solace.SolclientFactory.createSession(opts);
+    this.session  = session;
+
+    // Any guaranteed consumer belonged to the old session
+    this.guaranteedConsumer      = null;
+    this.guaranteedConsumerUp    = false;
+    this.guaranteedSubscriptions = [];
 
     // Define all of our event listeners
-    this.session.on(solace.SessionEventCode.UP_NOTICE, (sessionEvent) => {
+    session.on(solace.SessionEventCode.UP_NOTICE, (sessionEvent) => {
       console.log('=== Successfully connected and authorized ===');
       console.log('Session event: ' + sessionEvent.infoStr + ' raised.');
-      if (this.onConnect) {
-        this.onConnect();
-      }
-      if (this.subscriptions.length) {
-        this.subscriptions.forEach(sub => {
-          console.log("subscribing:", sub)
-          this._subscribe(sub.subscription);
-        });
-      }
-
+      this.connectionUp();
     });
 
-    this.session.on(solace.SessionEventCode.CONNECT_FAILED_ERROR, (sessionEvent) => {
+    session.on(solace.SessionEventCode.CONNECT_FAILED_ERROR, (sessionEvent) => {
       console.log('Connection failed to the message router: ' + sessionEvent.infoStr + '; error code: ' + sessionEvent.errorCode);
       console.log('Details: ' + sessionEvent.details);
       console.log('Description: ' + sessionEvent.description);
+      this.sessionLost(session, sessionEvent.infoStr);
     });
 
-    this.session.on(solace.SessionEventCode.DISCONNECTED, (sessionEvent) => {
+    session.on(solace.SessionEventCode.DISCONNECTED, (sessionEvent) => {
       console.log('Disconnected.');
+      this.sessionLost(session, "disconnected");
     });
 
-    this.session.on(solace.SessionEventCode.SUBSCRIPTION_ERROR, (sessionEvent) => {
+    session.on(solace.SessionEventCode.SUBSCRIPTION_ERROR, (sessionEvent) => {
       console.log('Cannot subscribe to topic: ' + sessionEvent.correlationKey + '; error code: ' + sessionEvent.errorCode);
       console.log('Details: ' + sessionEvent.details);
       console.log('Description: ' + sessionEvent.description);
     });
 
-    this.session.on(solace.SessionEventCode.SUBSCRIPTION_OK, (sessionEvent) => {
+    session.on(solace.SessionEventCode.SUBSCRIPTION_OK, (sessionEvent) => {
       console.log('Subscribed to topic: ' + sessionEvent.correlationKey);
     });
 
-    this.session.on(solace.SessionEventCode.MESSAGE, (message) => {
+    session.on(solace.SessionEventCode.ACKNOWLEDGED_MESSAGE, (sessionEvent) => {
+      this.publishAcked(sessionEvent.correlationKey);
+    });
+
+    // For example when over quota, not allowed by the ACL or when nothing is subscribed
+    // and the client profile rejects messages that match no subscription
+    session.on(solace.SessionEventCode.REJECTED_MESSAGE_ERROR, (sessionEvent) => {
+      console.log('Message rejected by the broker: ' + sessionEvent.infoStr + '; error code: ' + sessionEvent.errorSubcode);
+      this.publishRejected(sessionEvent.correlationKey, sessionEvent.infoStr);
+    });
+
+    session.on(solace.SessionEventCode.MESSAGE, (message) => {
       console.log('Received message: "' + message.getBinaryAttachment() + '"');
       this.rxMessage(message.getDestination().getName(), message);
     });
 
+    try {
+      session.connect();
+    } catch (error) {
+      console.log(error.toString());
+      this.sessionLost(session, error.toString());
+    }
 
   }
 
-  disconnect() {
-    super.disconnect();
+  // Throw away a session that has gone down and let the base class decide whether to reconnect
+  sessionLost(session, reason) {
+    if (session !== this.session) {
+      return;
+    }
+    this.session          = null;
+    this.messageConsumers = [];
+    this.queueConsumers   = {};
+    try {
+      session.dispose();
+    } catch (error) {
+      console.log(error.toString());
+    }
+    this.connectionLost(reason);
+  }
 
+  _disconnect() {
     // Disconnect from Solace messaging
     if (this.session) {
-      this.session.disconnect();
-    }    
-
-  }
-
-  subscribe(qos, subscription) {
-
-    subscription = this.adjustSubscription(subscription);
-
-    super.subscribe(qos, subscription);
-
-    if (this.session) {  
-
-      if (qos > 0) {
-        console.warn("QoS 1+ not currently supported by this demo");
-        throw new Error("QoS 1+ not currently supported by this demo");
+      const session         = this.session;
+      this.session          = null;
+      this.messageConsumers = [];
+      this.queueConsumers   = {};
+      try {
+        session.disconnect();
+      } catch (error) {
+        console.log(error.toString());
       }
-
-      // Subscribe on the session for Solace messaging
-      this._subscribe(subscription);
-    }
-    else {
-      console.log("Not connected to Solace messaging");
-    }
-
-    console.log("added sub", subscription, this.session)
+    }    
 
   }
 
   // Bind to a Solace named queue
   // TODO - need to plumb in events for success/failure of binds
-  bindToQueue(queueName) {
-    this.messageConsumer = this.session.createMessageConsumer({
+  _bindToQueue(queueName) {
+    const messageConsumer = this.session.createMessageConsumer({
       queueDescriptor: { name: queueName, type: solace.QueueType.QUEUE },
       acknowledgeMode: solace.MessageConsumerAcknowledgeMode.CLIENT,
     });
-    this.messageConsumer.on(solace.MessageConsumerEventName.UP, () => {
+    messageConsumer.on(solace.MessageConsumerEventName.UP, () => {
       console.log("MessageConsumer is now up and running");
     });
-    this.messageConsumer.on(solace.MessageConsumerEventName.CONNECT_FAILED_ERROR, (e) => {
+    messageConsumer.on(solace.MessageConsumerEventName.CONNECT_FAILED_ERROR, (e) => {
       console.log("MessageConsumer failed to connect", e);
     });
-    this.messageConsumer.on(solace.MessageConsumerEventName.MESSAGE, (message) => {
+    messageConsumer.on(solace.MessageConsumerEventName.MESSAGE, (message) => {
       // Need to explicitly ack otherwise it will not be deleted from the message router
-      this.rxMessage(message.getDestination().getName(), message);
+      this.rxMessage(message.getDestination().getName(), message, {queueName: queueName});
       message.acknowledge();
     });
     try {
-        this.messageConsumer.connect();
+        messageConsumer.connect();
     } catch (error) {
         console.log(error.toString());
     }    
+    this.messageConsumers.push(messageConsumer);
+    this.queueConsumers[queueName] = messageConsumer;
+  }
+
+  _unbindFromQueue(queueName) {
+    const messageConsumer = this.queueConsumers[queueName];
+    if (!messageConsumer) {
+      return;
+    }
+    delete this.queueConsumers[queueName];
+    this.messageConsumers = this.messageConsumers.filter(c => c !== messageConsumer);
+    try {
+      messageConsumer.disconnect();
+    } catch (error) {
+      console.log(error.toString());
+    }
   }
 
 
-  _subscribe(subscription) {
+  // Guaranteed subscriptions attract messages to a queue that we consume with client acks.
+  // With a durable name the queue outlives the session, so messages are kept while we are away.
+  // Otherwise a temporary queue is used, which only lasts as long as the session
+  createGuaranteedConsumer() {
+    const queueDescriptor = this.durableName ?
+      {name: this.durableName, type: solace.QueueType.QUEUE, durable: true} :
+      {type: solace.QueueType.QUEUE, durable: false};
+
+    const consumer = this.session.createMessageConsumer({
+      queueDescriptor: queueDescriptor,
+      acknowledgeMode: solace.MessageConsumerAcknowledgeMode.CLIENT,
+      createIfMissing: this.durableName ? true : false,
+    });
+    consumer.on(solace.MessageConsumerEventName.UP, () => {
+      console.log("Guaranteed consumer is up on", consumer.getDestination().getName());
+      this.guaranteedConsumerUp = true;
+      this.guaranteedSubscriptions.forEach(sub => this.addQueueSubscription(sub));
+    });
+    consumer.on(solace.MessageConsumerEventName.CONNECT_FAILED_ERROR, (e) => {
+      console.log("Guaranteed consumer failed to connect", e);
+    });
+    consumer.on(solace.MessageConsumerEventName.SUBSCRIPTION_ERROR, (e) => {
+      // An existing subscription on a durable queue is reported as an error - that is fine
+      console.log("Guaranteed subscription error", e.correlationKey, e.reason);
+    });
+    consumer.on(solace.MessageConsumerEventName.MESSAGE, (message) => {
+      this.rxMessage(message.getDestination().getName(), message);
+      message.acknowledge();
+    });
+    try {
+      consumer.connect();
+    } catch (error) {
+      console.log(error.toString());
+    }
+
+    this.guaranteedConsumer = consumer;
+    this.messageConsumers.push(consumer);
+  }
+
+  addQueueSubscription(subscription) {
+    try {
+      this.guaranteedConsumer.addSubscription(solace.SolclientFactory.createTopic(subscription), subscription, 10000);
+    } catch (error) {
+      console.log(`Failed to add queue subscription ${subscription}:`, error.toString());
+    }
+  }
+
+  // Shared subscriptions are only for direct messages. Guaranteed messages are load balanced
+  // by binding the consumers to the same non-exclusive queue
+  getWireSubscription(sub) {
+    if (sub.group && sub.qos > 0) {
+      console.warn(`Consumer group '${sub.group}' doesn't apply to guaranteed subscriptions - bind the portals to a non-exclusive queue instead`);
+      return sub.subscription;
+    }
+    return super.getWireSubscription(sub);
+  }
+
+  _subscribe(qos, subscription) {
+    if (qos > 0) {
+      if (this.guaranteedSubscriptions.indexOf(subscription) === -1) {
+        this.guaranteedSubscriptions.push(subscription);
+      }
+      if (!this.guaranteedConsumer) {
+        this.createGuaranteedConsumer();
+      }
+      else if (this.guaranteedConsumerUp) {
+        this.addQueueSubscription(subscription);
+      }
+      return;
+    }
+
     // Subscribe on the session for Solace messaging
     try {
       console.log("Subscribing to topic: " + subscription);
@@ -150,89 +267,127 @@ export class SolaceMessaging extends Messaging {
         subscription,
         10000
       );
-      console.log("EDE Subscribed to topic: " + subscription);
     } catch (error) {
       console.log(`Failed to subscribe to ${subscription}:`, error.toString());
     }
   }
 
-  unsubscribe(subId) {
-    super.unsubscribe(subId);
-  }
-
   _unsubscribe(subscription) {
-    if (this.session) {
-      // Unsubscribe on the session for Solace messaging
-      try {
-        this.session.unsubscribe(solace.SolclientFactory.createTopic(subscription));
-      } catch (error) {
-        console.log(error.toString());
+    const index = this.guaranteedSubscriptions.indexOf(subscription);
+    if (index !== -1) {
+      this.guaranteedSubscriptions.splice(index, 1);
+      if (this.guaranteedConsumerUp) {
+        try {
+          this.guaranteedConsumer.removeSubscription(solace.SolclientFactory.createTopic(subscription), subscription, 10000);
+        } catch (error) {
+          console.log(error.toString());
+        }
       }
+      return;
+    }
+
+    // Unsubscribe on the session for Solace messaging
+    try {
+      this.session.unsubscribe(solace.SolclientFactory.createTopic(subscription), true, subscription, 10000);
+    } catch (error) {
+      console.log(error.toString());
     }
   }
 
   publish(topic, msg, opts = {}) {
 
-    if (this.session) {
-      // Publish on the session for Solace messaging
-      try {
-        let data = JSON.stringify(msg);
-        let solMessage = solace.SolclientFactory.createMessage();
-        solMessage.setDestination(solace.SolclientFactory.createTopic(topic));
-        solMessage.setBinaryAttachment(data);
-        solMessage.setDeliveryMode(solace.MessageDeliveryModeType.PERSISTENT);
+    if (!this.isConnected()) {
+      return Promise.reject(new Error("not connected to the Solace broker"));
+    }
 
-        // Create an SDT for the user properties
-        let sdt = new solace.SDTMapContainer();
+    // Persistent messages are acknowledged by the broker. The correlation key ties the
+    // acknowledgement or rejection event back to this publish. Direct messages are not
+    const direct         = opts.deliveryMode === "direct";
+    const {key, promise} = this.trackPublish();
 
-        // Generate a 32 character random string of hex digits unless we already have a traceId
-        const traceId = opts.traceId || [...Array(32)].map(() => Math.floor(Math.random() * 16).toString(16)).join('');
+    // Publish on the session for Solace messaging
+    try {
+      let data = this.encodePayload(msg);
+      let solMessage = solace.SolclientFactory.createMessage();
+      solMessage.setDestination(solace.SolclientFactory.createTopic(topic));
+      solMessage.setBinaryAttachment(data);
+      solMessage.setDeliveryMode(direct ? solace.MessageDeliveryModeType.DIRECT : solace.MessageDeliveryModeType.PERSISTENT);
+      solMessage.setCorrelationKey(key);
+
+      // An expired message goes to the dead message queue, if the queue has one
+      if (opts.timeToLive > 0) {
+        solMessage.setTimeToLive(opts.timeToLive);
+        solMessage.setDMQEligible(true);
+      }
 
-        // And a 16 character parentId of hex digits
-        // const parentId = [...Array(16)].map(() => Math.floor(Math.random() * 16).toString(16)).join('');
-        // NOTE - hardcoded parentId to all zeros for now - this will allow the visualizer to know which span is the first one
-        const parentId = opts.parentId || "0000000000000000";
+      if (opts.replyTo) {
+        solMessage.setReplyTo(solace.SolclientFactory.createTopicDestination(opts.replyTo));
+      }
+      if (opts.correlationId) {
+        solMessage.setCorrelationId(opts.correlationId);
+      }
 
-        sdt.addField("traceparent", solace.SDTFieldType.STRING, `00-${traceId}-${parentId}-01`);
+      // Create an SDT for the user properties
+      let sdt = new solace.SDTMapContainer();
 
-        if (opts.color) {
-          sdt.addField("color", solace.SDTFieldType.STRING, opts.color);
-        }
+      // The trace context comes with the object so that its whole journey is one trace.
+      // Anything else starts a trace of its own
+      sdt.addField("traceparent", solace.SDTFieldType.STRING, opts.traceparent || traceContext.nextHop());
 
-        // Add the SDT to the message
-        solMessage.setUserPropertyMap(sdt);
+      // Say how the payload is encoded
+      sdt.addField("contentType", solace.SDTFieldType.STRING, this.codec.contentType);
 
-        console.log("SDT:", solMessage.getUserPropertyMap());
+      if (opts.userProperties) {
+        Object.keys(opts.userProperties).forEach(name => {
+          sdt.addField(name, solace.SDTFieldType.STRING, String(opts.userProperties[name]));
+        });
+      }
 
-        this.session.send(
-          solMessage
-        );
-      } catch (error) {
-        console.log(error.toString());
+      if (opts.color) {
+        sdt.addField("color", solace.SDTFieldType.STRING, opts.color);
       }
+
+      // Add the SDT to the message
+      solMessage.setUserPropertyMap(sdt);
+
+      console.log("SDT:", solMessage.getUserPropertyMap());
+
+      this.session.send(
+        solMessage
+      );
+
+      // There is nothing more to hear about a direct message once it has been sent
+      if (direct) {
+        this.publishAcked(key);
+      }
+    } catch (error) {
+      console.log(error.toString());
+      this.publishRejected(key, error.message);
     }
+
+    return promise;
   }
 
-  rxMessage(topic, msg) {
-    console.log("rxMessage", topic, msg)
-    let data;
-    try {
-      data = JSON.parse(msg.getBinaryAttachment());
-    }
-    catch(e) {
-      console.log("Failed to get JSON payload of message:", topic, msg.toString());
-      data = null;
-    }
+  getPayload(msg) {
+    return msg.getBinaryAttachment();
+  }
 
-    if (this.onMessage) {
-      this.onMessage(topic, msg, data);
-    }
+  getReplyInfo(msg, data) {
+    const replyTo = msg.getReplyTo();
+    return {
+      replyTo:       replyTo ? replyTo.getName() : undefined,
+      correlationId: msg.getCorrelationId() || undefined,
+    };
+  }
 
+  getContentType(msg) {
+    const props = this.getUserProperties(msg);
+    return props ? props.contentType : undefined;
   }
 
   adjustSubscription(subscription) {
     // Convert + to * and # to >
-    return subscription.replace(/\+/g, this.topicLevelWildcard).replace(/\#/g, this.topicAllLevelsWildcard);
+    return TopicMatcher.convert(subscription, this.topicLevelWildcard, this.topicAllLevelsWildcard, true);
   }
 
   getUserProperties(msg) {
@@ -0,0 +1,104 @@
+// topic-matcher.js - Matches topics against subscriptions locally
+//
+// Subscriptions can use either the Solace or the MQTT wildcard syntax:
+//   *   or +   - matches exactly one level
+//   ab*        - (Solace) matches one level that starts with 'ab'
+//   >          - (Solace) as the last level, matches one or more levels
+//   #          - (MQTT) as the last level, matches zero or more levels
+
+
+// Parse a subscription into a list of levels, each with a type of:
+//   'literal', 'one', 'prefix', 'oneOrMore' or 'zeroOrMore'
+function parseSubscription(subscription) {
+  const levels = subscription.split("/");
+  return levels.map((level, i) => {
+    const last = i === levels.length - 1;
+    if (level === "*" || level === "+") {
+      return {type: "one"};
+    }
+    if (last && level === ">") {
+      return {type: "oneOrMore"};
+    }
+    if (last && level === "#") {
+      return {type: "zeroOrMore"};
+    }
+    if (level.length > 1 && level.endsWith("*")) {
+      return {type: "prefix", value: level.slice(0, -1)};
+    }
+    return {type: "literal", value: level};
+  });
+}
+
+function levelsMatch(levels, topicLevels) {
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+
+    if (level.type === "oneOrMore") {
+      return topicLevels.length > i;
+    }
+    if (level.type === "zeroOrMore") {
+      return topicLevels.length >= i;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (level.type === "prefix" && !topicLevels[i].startsWith(level.value)) {
+      return false;
+    }
+    if (level.type === "literal" && level.value !== topicLevels[i]) {
+      return false;
+    }
+  }
+
+  return topicLevels.length === levels.length;
+}
+
+
+export class TopicMatcher {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Add a subscription. Any extra info (qos, handler, ...) is returned with each match
+  add(subscription, info = {}) {
+    const entry = Object.assign({}, info, {subscription: subscription, levels: parseSubscription(subscription)});
+    this.entries.push(entry);
+    return entry;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  // Return all the entries whose subscription matches the topic
+  match(topic) {
+    const topicLevels = topic.split("/");
+    return this.entries.filter(entry => levelsMatch(entry.levels, topicLevels));
+  }
+
+  // Return true if the topic matches the subscription
+  static matches(subscription, topic) {
+    return levelsMatch(parseSubscription(subscription), topic.split("/"));
+  }
+
+  // Convert a subscription into the wildcard syntax of a protocol. Wildcards are only
+  // converted when they make up a whole level. Prefix wildcards are kept if the protocol
+  // supports them, otherwise they are widened to a full level wildcard - the local matching
+  // still applies the prefix when the message arrives
+  static convert(subscription, levelWildcard, allLevelsWildcard, supportsPrefix = false) {
+    return parseSubscription(subscription).map(level => {
+      switch (level.type) {
+        case "one":
+          return levelWildcard;
+        case "prefix":
+          return supportsPrefix ? `${level.value}*` : levelWildcard;
+        case "oneOrMore":
+        case "zeroOrMore":
+          return allLevelsWildcard;
+        default:
+          return level.value;
+      }
+    }).join("/");
+  }
+
+}
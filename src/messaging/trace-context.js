@@ -0,0 +1,51 @@
+// trace-context.js - W3C trace context for objects that travel between portals
+//
+// A traceparent looks like: 00-<32 hex trace id>-<16 hex span id>-<2 hex flags>
+// The trace id stays the same for the whole journey of an object and each hop through a
+// portal gets a new span id, so a ball that goes through three portals is one trace
+
+const traceparentRegex = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+function randomHex(length) {
+  const bytes = new Uint8Array(length / 2);
+  crypto.getRandomValues(bytes);
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// All zero ids are not allowed
+function isZero(hex) {
+  return /^0+$/.test(hex);
+}
+
+
+export let traceContext = {
+
+  // Parse a traceparent into {version, traceId, spanId, flags}. Returns null if it isn't valid
+  parse: (traceparent) => {
+    const match = typeof traceparent === "string" && traceparent.trim().toLowerCase().match(traceparentRegex);
+    if (!match || match[1] === "ff" || isZero(match[2]) || isZero(match[3])) {
+      return null;
+    }
+    return {version: match[1], traceId: match[2], spanId: match[3], flags: match[4]};
+  },
+
+  format: (ctx) => {
+    return `00-${ctx.traceId}-${ctx.spanId}-${ctx.flags || "01"}`;
+  },
+
+  isValid: (traceparent) => {
+    return traceContext.parse(traceparent) !== null;
+  },
+
+  // The traceparent for the next hop of a journey. Keeps the trace id of the previous hop, if
+  // there was a valid one, and gives the hop a new span id. Otherwise a new trace is started
+  nextHop: (traceparent) => {
+    const prev = traceContext.parse(traceparent);
+    return traceContext.format({
+      traceId: prev ? prev.traceId : randomHex(32),
+      spanId:  randomHex(16),
+      flags:   prev ? prev.flags : "01",
+    });
+  },
+
+};
@@ -31,8 +31,10 @@ export class Ball extends DynamicObject {
       {name: "color", type: "color", label: "Ball Color", eventLabels: ["appearance"]},
       {name: "label", type: "text", label: "Label", eventLabels: ["appearance"]},
       {name: "labelColor", type: "color", label: "Label Color"},
+      {name: "ttl", type: "text", label: "Time To Live (s)", title: "How long the object may spend travelling through portals before it expires. The broker may discard it when this runs out and it is dropped if it arrives late. 0 means it never expires"},
       {name: "forceTopic", type: "boolean", label: "Force Topic", title: "Use the configured topic when going through a portal"},
       {name: "topic", type: "text", width: 50, label: "Topic", title: "If Force Topic is true, this topic is used when going through a portal"},
+      {name: "arrival", type: "info", label: "Arrived Via", title: "The portal this object came out of, the topic it was sent on and the subscription that matched it"},
     ])
 
     if (this.dontRender) return;
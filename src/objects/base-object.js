@@ -119,6 +119,10 @@ export class BaseObject {
         if (param.type == "subObject") {
           config[param.name] = this[param.name].getConfig();
         }
+        else if (param.type == "info") {
+          // Only for display - not part of the config
+          return;
+        }
         else {
           config[param.name] = this[param.name];
         }
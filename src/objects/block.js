@@ -31,8 +31,10 @@ export class Block extends DynamicObject {
       //{name: 'edgeRadius', type: 'text', label: 'Edge Radius'},
       {name: 'friction',  type: 'text', label: 'Friction (0-1)'},
       {name: 'color',  type: 'color', label: 'Color'},
+      {name: "ttl", type: "text", label: "Time To Live (s)", title: "How long the object may spend travelling through portals before it expires. The broker may discard it when this runs out and it is dropped if it arrives late. 0 means it never expires"},
       {name: "forceTopic", type: "boolean", label: "Force Topic", eventLabels: ["topic"], title: "Use the configured topic when going through a portal"},
       {name: "topic", type: "text", width: 50, label: "Topic", eventLabels: ["topic"], title: "If Force Topic is true, this topic is used when going through a portal"},
+      {name: "arrival", type: "info", label: "Arrived Via", title: "The portal this object came out of, the topic it was sent on and the subscription that matched it"},
       {name: "x", type: "hidden", eventLabels: ["position"]},
       {name: "y", type: "hidden", eventLabels: ["position"]},
     ]);
@@ -129,8 +131,7 @@ export class Block extends DynamicObject {
 
   saveConfigForm(form) {
     this.setValues(form);
-    this.destroy();
-    this.create();
+    this.reDraw();
     this.saveableConfigChanged();
   }
 }
\ No newline at end of file
@@ -1,11 +1,15 @@
 // broker.js - this represents an event broker
 
-import * as THREE        from 'three'
-import {StaticObject}    from './static-object.js';
-import {Assets}          from '../assets.js';
-import {utils}           from '../utils.js';
-import {SolaceMessaging} from '../messaging/solace-messaging';
-import {MqttMessaging}   from '../messaging/mqtt-messaging';
+import * as THREE          from 'three'
+import {StaticObject}      from './static-object.js';
+import {Assets}            from '../assets.js';
+import {utils}             from '../utils.js';
+import {SolaceMessaging}   from '../messaging/solace-messaging';
+import {MqttMessaging}     from '../messaging/mqtt-messaging';
+import {AmqpMessaging}     from '../messaging/amqp-messaging';
+import {LoopbackMessaging} from '../messaging/loopback-messaging';
+import {codecOptions}      from '../messaging/codecs';
+import {CredentialVault}   from '../credential-vault.js';
 
 const brokerHeight       = 0.4
 
@@ -20,20 +24,42 @@ export class Broker extends StaticObject {
     this.url    = opts.url        || 'ws://<host>:<port>';
     this.protocol = opts.protocol || 'smf';
     this.vpnName  = opts.vpnName  || 'default';
+    // The credentials come from the vault rather than the config. A config saved by an older
+    // build may still have them in it. A new broker starts with the defaults
     this.username = opts.username || 'default';
     this.password = opts.password || 'default';
+    this.fromConfig = !!opts.url;
+    this.migratedCredentials = false;
+    this.amqpAddressFormat = opts.amqpAddressFormat || 'solace';
+    this.mqttVersion = opts.mqttVersion || '3.1.1';
+    this.encoding = opts.encoding || 'json';
+    this.reconnectRetries = typeof opts.reconnectRetries === "undefined" ? -1 : opts.reconnectRetries;
+    this.reconnectDelay   = opts.reconnectDelay || 1000;
+    this.durableQueueName = opts.durableQueueName || '';
+
+    // The single session to the broker that is shared by all attached portals
+    this.connection = null;
+    this.portals    = [];
 
     this.configParams = this.initConfigParams([
       {name: "x", type: "hidden", eventLabels: ["position"]},
       {name: "y", type: "hidden", eventLabels: ["position"]},
       {name: "name",     type: "text",     label: "Name"},
-      {name: "protocol", type: "select",   label: "Protocol", options: [{value: "smf", label: "SMF"}, {value: "mqtt", label: "MQTT"}]},
+      {name: "protocol", type: "select",   label: "Protocol", options: [{value: "smf", label: "SMF"}, {value: "mqtt", label: "MQTT"}, {value: "amqp", label: "AMQP 1.0"}, {value: "loopback", label: "Loopback (no server)"}], title: "Loopback needs no broker - it carries messages between the tabs of this browser that use the same Message VPN name"},
+      {name: "amqpAddressFormat", type: "select", label: "AMQP Address Format", dependsOn: ["protocol"], showIf: (obj, inputs) => inputs.protocol.getValue() == "amqp", title: "How topics map onto AMQP addresses. Solace uses topic://a/b, Artemis uses a.b and RabbitMQ uses /topic/a.b", options: [{value: "solace", label: "Solace"}, {value: "artemis", label: "ActiveMQ Artemis"}, {value: "rabbitmq", label: "RabbitMQ"}]},
+      {name: "mqttVersion", type: "select", label: "MQTT Version", dependsOn: ["protocol"], showIf: (obj, inputs) => inputs.protocol.getValue() == "mqtt", title: "MQTT 5 carries the content type, user properties (such as the trace context), message expiry and reply-to topic as message properties and reports why a subscription was refused", options: [{value: "3.1.1", label: "3.1.1"}, {value: "5", label: "5.0"}]},
+      {name: "encoding", type: "select",   label: "Payload Encoding", options: codecOptions, title: "How objects are encoded when they are sent. Received messages are decoded by their content type, so portals with different encodings can still exchange objects"},
       {name: "url",      type: "text",     label: "Broker URL"},
       {name: "vpnName",  type: "text",     label: "Message VPN"},
       {name: "username", type: "text",     label: "Username"},
       {name: "password", type: "password", label: "Password"},
+      {name: "reconnectRetries", type: "text", label: "Reconnect Retries", title: "Number of times to try to reconnect after the connection is lost. -1 means retry forever"},
+      {name: "reconnectDelay",   type: "text", label: "Reconnect Delay (ms)", title: "Delay before the first reconnect attempt. It doubles on each further attempt, up to 30 seconds"},
+      {name: "durableQueueName", type: "text", label: "Durable Queue Name", title: "If set, guaranteed subscriptions use a durable queue (Solace), durable links (AMQP) or a persistent session (MQTT, where it is the client id, so only one page can use it at a time) with this name, so the broker keeps messages while the page is closed. The page never deletes it. Empty uses temporary broker state that goes away with the session"},
     ])
 
+    this.loadCredentials();
+
     this.create();
 
     this.app.registerBroker(this);
@@ -115,15 +141,185 @@ export class Broker extends StaticObject {
     opts.password = opts.password || this.password;
     opts.vpnName  = opts.vpnName  || this.vpnName;
     opts.clientId = opts.clientId || this.clientId;
+    opts.encoding = opts.encoding || this.encoding;
+    opts.reconnectRetries = utils.toInt(this.reconnectRetries, -1);
+    opts.reconnectDelay   = utils.toInt(this.reconnectDelay, 1000);
+    let conn;
     if (this.protocol == "mqtt") {
-      return new MqttMessaging(opts);
+      opts.protocolVersion = this.mqttVersion == "5" ? 5 : 4;
+      conn = new MqttMessaging(opts);
     } else if (this.protocol == "smf" || this.protocol == "solace") {
-      const conn = new SolaceMessaging(opts);
-      conn.connect();
-      return conn;
+      conn = new SolaceMessaging(opts);
+    } else if (this.protocol == "amqp") {
+      opts.addressFormat = this.amqpAddressFormat;
+      conn = new AmqpMessaging(opts);
+    } else if (this.protocol == "loopback") {
+      conn = new LoopbackMessaging(opts);
     } else {
       throw new Error("Unknown protocol: " + opts.protocol);
     }
+    conn.connect();
+    return conn;
+  }
+
+  // A client id for this broker on this page that stays the same across reloads
+  getDurableClientId() {
+    const name = this.name.replace(/[^a-zA-Z0-9_-]/g, "_");
+    return `goldberg-${this.app.getPageId()}-${name}`;
+  }
+
+  // Attach a portal to the shared session, opening the session if this is the first portal
+  attachPortal(portal) {
+    if (this.portals.indexOf(portal) === -1) {
+      this.portals.push(portal);
+    }
+
+    if (!this.connection) {
+      this.connection = this.createConnection({
+        clientId:      this.durableQueueName || this.getDurableClientId(),
+        durableName:   this.durableQueueName || undefined,
+        onConnect:     connection => this.portals.forEach(p => p.onConnect(connection)),
+        onDisconnect:  connection => this.portals.forEach(p => p.onDisconnect(connection)),
+        onStateChange: (state, connection) => this.portals.forEach(p => p.onConnectionStateChange(state, connection)),
+        onMessage:     (topic, message, payload, source) => this.onMessage(topic, message, payload, source),
+      });
+    }
+    else {
+      portal.onConnectionStateChange(this.connection.state, this.connection);
+      if (this.connection.isConnected()) {
+        portal.onConnect(this.connection);
+      }
+    }
+
+    const queueName = portal.getQueueBinding();
+    if (queueName) {
+      this.connection.bindToQueue(queueName);
+    }
+
+    this.updateSubscriptions();
+  }
+
+  // Detach a portal from the shared session, closing the session if it was the last one
+  detachPortal(portal) {
+    const index = this.portals.indexOf(portal);
+    if (index === -1) {
+      return;
+    }
+    this.portals.splice(index, 1);
+
+    if (!this.portals.length) {
+      this.connection.disconnect();
+      this.connection = null;
+      return;
+    }
+
+    const queueName = portal.getQueueBinding();
+    if (queueName && !this.portals.find(p => p.getQueueBinding() === queueName)) {
+      this.connection.unbindFromQueue(queueName);
+    }
+
+    this.updateSubscriptions();
+  }
+
+  // Give the session the subscriptions of all the attached portals. Each portal's subscriptions
+  // share one handler, so the session calls it once per message however many of them match
+  updateSubscriptions() {
+    if (!this.connection) {
+      return;
+    }
+
+    const subs = [];
+    this.portals.forEach(portal => {
+      const handler = (topic, message, payload, match) => this.deliverToPortal(portal, topic, message, payload, match);
+      // A portal never gets its own objects back, so a consumer group picks one of its other members
+      const accept  = payload => !this.isFromPortal(portal, payload);
+      portal.getSubscriptions().forEach(sub => {
+        subs.push({subscription: sub.subscription, qos: sub.qos, group: sub.group, handler: handler, accept: accept});
+      });
+
+      // Each portal that receives answers discovery requests for its portal id
+      if (portal.canReceive()) {
+        subs.push({
+          subscription: portal.getDiscoveryTopic(),
+          qos:          0,
+          handler:      (topic, message, payload, match) => portal.onDiscoveryRequest(payload, match),
+        });
+      }
+    });
+
+    this.connection.setSubscriptions(subs);
+  }
+
+  // Resolves when the broker has accepted the message and rejects if it won't take it
+  publish(topic, msg, opts) {
+    if (!this.connection) {
+      return Promise.reject(new Error(`broker ${this.name} is not connected`));
+    }
+    return this.connection.publish(topic, msg, opts);
+  }
+
+  // Send a request and resolve with all the replies that arrive within opts.timeout ms
+  requestAll(topic, msg, opts) {
+    if (!this.connection) {
+      return Promise.reject(new Error(`Broker ${this.name} is not connected`));
+    }
+    return this.connection.requestAll(topic, msg, opts);
+  }
+
+  reply(match, msg, opts) {
+    if (this.connection) {
+      this.connection.reply(match, msg, opts);
+    }
+  }
+
+  getUserProperties(message) {
+    return this.connection ? this.connection.getUserProperties(message) : undefined;
+  }
+
+  // Messages that didn't come through a portal subscription - these are from bound queues
+  onMessage(topic, message, payload, source) {
+    if (!source || !source.queueName) {
+      return;
+    }
+    this.portals.forEach(portal => {
+      if (portal.getQueueBinding() === source.queueName) {
+        this.deliverToPortal(portal, topic, message, payload, source);
+      }
+    });
+  }
+
+  // Since the session is shared we also receive our own messages, so skip the portal that sent it.
+  // Each portal gets its own copy of the payload since it is modified as it becomes an object
+  deliverToPortal(portal, topic, message, payload, match) {
+    if (this.isFromPortal(portal, payload)) {
+      return;
+    }
+    portal.onMessage(topic, message, utils.deepCopy(payload), match);
+  }
+
+  isFromPortal(portal, payload) {
+    return !!payload && (payload.originPortal || payload.fromPortalGuid) === portal.guid;
+  }
+
+  // Re-open the shared session, for example after the broker's config has changed
+  resetConnection() {
+    if (!this.connection) {
+      return;
+    }
+    const portals = this.portals.slice(0);
+    portals.forEach(portal => portal.disconnect());
+    portals.forEach(portal => portal.connect());
+  }
+
+  // Deleting the broker takes its portals off the shared session, which closes it
+  removeFromWorld() {
+    this.portals.slice(0).forEach(portal => portal.disconnect());
+    if (this.connection) {
+      this.connection.disconnect();
+      this.connection = null;
+    }
+    this.app.unregisterBroker(this);
+    super.removeFromWorld();
   }
 
   saveConfigForm(form) {
@@ -131,8 +327,11 @@ export class Broker extends StaticObject {
     Object.keys(form).forEach((key) => {
       this[key] = form[key];
     });
+    this.app.credentials.set(this.getCredentialKey(), {username: this.username, password: this.password});
     this.destroy();
     this.create();
+    this.resetConnection();
+    this.app.credentialsChanged();
     this.app.saveConfig();
   }
 
@@ -140,4 +339,62 @@ export class Broker extends StaticObject {
     return this.name;
   }
 
+  // The credentials are kept in the vault so that they don't end up in the saved config or URL
+  getConfig() {
+    const config = super.getConfig();
+    delete config.username;
+    delete config.password;
+    return config;
+  }
+
+  getCredentialKey() {
+    return CredentialVault.keyFor(this.url, this.vpnName);
+  }
+
+  // Take our credentials from the vault. Any that came in an older config are moved into it,
+  // unless it already has some for this broker, and migratedCredentials is set so that the
+  // config is saved again without them. Returns true if the credentials changed
+  loadCredentials() {
+    const vault = this.app.credentials;
+    if (vault.isLocked()) {
+      return false;
+    }
+    if (this.opts.username || this.opts.password) {
+      if (!vault.get(this.getCredentialKey())) {
+        vault.set(this.getCredentialKey(), {username: this.username, password: this.password});
+      }
+      delete this.opts.username;
+      delete this.opts.password;
+      this.migratedCredentials = true;
+    }
+    const saved = vault.get(this.getCredentialKey());
+    if (!saved) {
+      return false;
+    }
+    const changed = saved.username !== this.username || saved.password !== this.password;
+    this.username = saved.username;
+    this.password = saved.password;
+    return changed;
+  }
+
+  // A broker from a saved or shared scene has no credentials until the user gives them. Loopback
+  // needs none
+  needsCredentials() {
+    return this.protocol != "loopback" && this.fromConfig && !this.app.credentials.get(this.getCredentialKey());
+  }
+
+  // Portals don't attach until this is true, so that we don't try (and keep retrying) to log in
+  // without credentials while the vault is locked or the user hasn't given them yet
+  hasCredentials() {
+    return this.protocol == "loopback" || (!this.app.credentials.isLocked() && !this.needsCredentials());
+  }
+
+  setCredentials(username, password) {
+    this.username = username;
+    this.password = password;
+    this.app.credentials.set(this.getCredentialKey(), {username: username, password: password});
+    this.resetConnection();
+    this.app.credentialsChanged();
+  }
+
 }
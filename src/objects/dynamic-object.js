@@ -2,9 +2,14 @@
 
 import * as THREE     from 'three' 
 import {BaseObject}   from './base-object.js'
+import {utils}        from '../utils.js'
 
 const defaultCooldown = 500;
 
+// Number of positions kept in a trail, and how far in front of the back it is drawn
+const trailLength     = 40;
+const trailZ          = 50;
+
 export class DynamicObject extends BaseObject {
   constructor(app, opts) {
     super(app, opts)
@@ -15,6 +20,9 @@ export class DynamicObject extends BaseObject {
     this.rotation     = opts.rotation     || 0
     this.coolDownTime = opts.coolDownTime || defaultCooldown
 
+    // Seconds the object may spend travelling between portals. 0 means it never expires
+    this.ttl          = utils.toInt(opts.ttl, 0)
+
   }
 
   isStatic() {
@@ -41,6 +49,7 @@ export class DynamicObject extends BaseObject {
   onPositionChange() {
     this.group.position.x = this.x
     this.group.position.y = this.y
+    this.updateTrail()
   }
 
   // Event handler for rotation changes
@@ -65,6 +74,87 @@ export class DynamicObject extends BaseObject {
   getFromPortal() {
     return this.fromPortal;
   }
+
+  // Leave a trail of the given colour behind the object, such as to show how it was delivered
+  setTrail(color) {
+    this.removeTrail();
+    if (!this.scene) {
+      return;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(trailLength * 3), 3));
+    geometry.setDrawRange(0, 0);
+    this.trail       = new THREE.Line(geometry, new THREE.LineBasicMaterial({color: color, transparent: true, opacity: 0.8}));
+    this.trailPoints = [];
+    this.trail.frustumCulled = false;
+    this.scene.add(this.trail);
+  }
+
+  updateTrail() {
+    if (!this.trail) {
+      return;
+    }
+    this.trailPoints.push(this.x, this.y, trailZ);
+    if (this.trailPoints.length > trailLength * 3) {
+      this.trailPoints.splice(0, 3);
+    }
+    const position = this.trail.geometry.attributes.position;
+    position.array.set(this.trailPoints);
+    position.needsUpdate = true;
+    this.trail.geometry.setDrawRange(0, this.trailPoints.length / 3);
+  }
+
+  removeTrail() {
+    if (this.trail) {
+      this.scene.remove(this.trail);
+      this.trail.geometry.dispose();
+      this.trail.material.dispose();
+      this.trail = null;
+    }
+  }
+
+  // The trail shows how the object was delivered, so it stays through a redraw (e.g. when the
+  // object is selected or its config changes) and only goes with the object
+  reDraw() {
+    this.redrawing = true;
+    super.reDraw();
+    this.redrawing = false;
+  }
+
+  destroy() {
+    if (!this.redrawing) {
+      this.removeTrail();
+    }
+    super.destroy();
+  }
+
+  // How the object arrived - the portal, topic and the subscription that matched. It is shown
+  // in the config panel
+  setArrival(text) {
+    this.arrival = text;
+  }
+
+  // The W3C traceparent of the last hop this object made through a portal, if any
+  setTraceparent(traceparent) {
+    this.traceparent = traceparent;
+  }
+
+  getTraceparent() {
+    return this.traceparent;
+  }
+
+  // When the object's time-to-live runs out (ms since the epoch). The clock starts when it
+  // first goes into a portal and carries on across hops
+  setExpiresAt(expiresAt) {
+    this.expiresAt = expiresAt;
+  }
+
+  getExpiresAt() {
+    if (!this.expiresAt && this.ttl > 0) {
+      this.expiresAt = Date.now() + this.ttl * 1000;
+    }
+    return this.expiresAt;
+  }
   
 
 }
\ No newline at end of file
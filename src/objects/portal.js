@@ -5,6 +5,12 @@ import {StaticObject}         from './static-object.js'
 import {Assets}               from '../assets.js'
 import {UIInputTypes}         from '../ui-input-types.js'
 import {utils}                from '../utils.js'
+import {envelope}             from '../messaging/envelope.js'
+import {traceContext}         from '../messaging/trace-context.js'
+import {Outbox}               from '../outbox.js'
+import {TopicMatcher}         from '../messaging/topic-matcher.js'
+import {FilterExpression}     from '../filter-expression.js'
+import {TransformRule}        from '../transform-rule.js'
 
 
 const backgroundTextureUrl = "images/textures/..."
@@ -14,9 +20,40 @@ const backTubeLength       = 1
 const defaultColor         = 0x0000ff
 const defaultRotation      = 0
 const defaultRadius        = 0.5
+const defaultTopicTemplate = "portal/${name}/${portalId}/${objType}/${color}"
+const defaultExitInterval  = 100
+const defaultExitSpeed     = 1
 
 const openColor            = 0x000000
 const closedColor          = 0xffffff
+const reconnectingColor    = 0xffa500
+const failedColor          = 0xff0000
+
+// Portals ask who else is listening on their portal id every discoveryInterval ms
+const controlTopicPrefix   = "portal-control"
+const discoveryInterval    = 15000
+const discoveryTimeout     = 2000
+const labelHeight          = 0.3
+
+// How long an error stays on show above the portal
+const errorDisplayTime     = 5000
+
+// How long the subscription that let an object in stays on show
+const matchDisplayTime     = 3000
+
+// The colour of the trail an object leaves when it comes out of a portal, by how it was
+// delivered. MQTT QoS 2 (exactly once) gets its own colour
+const trailColors          = {direct: 0xffd700, persistent: 0x00c895, exactlyOnce: 0x3399ff}
+
+// Which way objects go through a portal. A send-only portal is a sink that never emits and a
+// receive-only portal is a source that bounces objects back out rather than sending them
+const directions           = ["both", "send", "receive"]
+const sendOnlyColor        = 0x3399ff
+const receiveOnlyColor     = 0xffa500
+
+// The throughput label shows the messages per second over the last rateWindow ms
+const rateWindow           = 5000
+const throughputInterval   = 1000
 
 
 export class Portal extends StaticObject {
@@ -31,22 +68,92 @@ export class Portal extends StaticObject {
     this.enabled             = typeof opts.enabled === "undefined" ? true : opts.enabled
     this.subscriptionList    = opts.subscriptionList || ["text/one", "text/two"]
     this.useSubscriptionList = opts.useSubscriptionList ? true : false
+    this.guaranteedDelivery  = opts.guaranteedDelivery ? true : false
+    this.deliveryMode        = opts.deliveryMode === "direct" ? "direct" : "persistent"
+    this.publishQos          = typeof opts.publishQos === "undefined" ? (this.guaranteedDelivery ? 1 : 0) : utils.toInt(opts.publishQos, 0)
+    this.retain              = opts.retain ? true : false
+    this.consumerGroup       = opts.consumerGroup || ""
+    this.exitInterval        = typeof opts.exitInterval === "undefined" ? defaultExitInterval : opts.exitInterval
+    this.exitSpeed           = opts.exitSpeed || defaultExitSpeed
+    this.ingressFilter       = opts.ingressFilter || ""
+    this.rejectTopic         = opts.rejectTopic || ""
+    this.transformRules      = opts.transformRules || []
+    this.useTransformRules   = opts.useTransformRules ? true : false
+    this.direction           = directions.indexOf(opts.direction) !== -1 ? opts.direction : "both"
+    this.showThroughput      = typeof opts.showThroughput === "undefined" ? true : opts.showThroughput
     this.broker              = opts.broker   || null
     this.portalId            = opts.portalId || "1"
     this.name                = opts.name     || "Unnamed Portal"
+    this.topicTemplate       = opts.topicTemplate || defaultTopicTemplate
+    this.useOutbox           = opts.useOutbox ? true : false
+    this.outboxId            = opts.outboxId || utils.guid()
+    this.connectionState     = "disconnected"
+
+    // Other pages listening on our portal id, by page id
+    this.peers               = new Map()
+    this.discoveryTimer      = null
+
+    this.errorText           = null
+    this.matchText           = null
+
+    // Objects waiting in the outbox. What one page queues is only sent by that page, or by the
+    // next one to open the same config once that page has closed
+    this.outbox              = new Outbox(this.outboxId, this.app.getPageId())
+    this.backlog             = 0
+    this.flushing            = false
+
+    // Arrivals waiting their turn to come out, so that a burst comes out as a stream
+    this.exitQueue           = []
+    this.exitTimer           = null
+    this.lastExitTime        = 0
+    this.exitDepthShown      = 0
+
+    // Arrivals whose time-to-live ran out before they could come out
+    this.expiredCount        = 0
+
+    // Arrivals turned away by the ingress filter
+    this.rejectedCount       = 0
+    this.ingressFilterText   = null
+    this.compiledFilter      = null
+
+    this.transformRulesText  = null
+    this.compiledRules       = []
+
+    // Objects sent and received, and the times of the recent ones for the rate
+    this.sentCount           = 0
+    this.receivedCount       = 0
+    this.recentMessages      = []
+    this.throughput          = ""
 
     this.configParams = this.initConfigParams([
       {name: "name", type: "text", label: "Name"},
       {name: "portalId", type: "text", label: "Portal ID"},
       {name: "broker", type: "select", label: "Broker", options: () => this.app.getBrokers().map(b => { return {value: b.getName(), label: b.getName()}})},
       {name: "enabled", type: "boolean", label: "Enabled"},
+      {name: "direction", type: "select", label: "Direction", title: "Send only portals are sinks - objects go in but nothing comes out, so they don't subscribe. Receive only portals are sources - objects come out, but objects that hit them bounce off rather than being sent. Using one of each avoids objects echoing back and forth", options: [{value: "both", label: "Send and Receive"}, {value: "send", label: "Send Only (sink)"}, {value: "receive", label: "Receive Only (source)"}]},
+      {name: "topicTemplate", type: "text", label: "Topic Template", title: "The topic that objects are sent on. ${...} is replaced by a property of the object or portal: name, portalId, pageId, type, objType, color, label, radius, guid or topic (the topic it arrived on). Functions such as ${seqNum(orders)} and ${topicLevel(2)} work as they do for labels. Objects with a forced topic keep their own topic"},
       {name: "bindToQueue", type: "boolean", label: "Bind to Queue", title: "If enabled, the portal will bind to a queue on the broker."},
       {name: "queueName", type: "text", dependsOn: ["bindToQueue"], showIf: (obj, inputs) => inputs.bindToQueue.getValue(), label: "Queue Name", title: "If 'Bind to Queue' is true, this is the name of the queue to bind to. NOTE that binding to a named queue is only supported by Solace brokers."},
+      {name: "guaranteedDelivery", type: "boolean", label: "Guaranteed Delivery", title: "If enabled, the portal subscribes with QoS 1 through a queue (Solace), a link (AMQP) or a session (MQTT) on the broker. It is temporary and goes away with the page, unless the broker has a Durable Queue Name - then objects sent while the page is offline are delivered when it comes back."},
+      {name: "deliveryMode", type: "select", label: "Publish Delivery Mode", dependsOn: ["broker"], showIf: (obj, inputs) => !this.isMqttBroker(inputs.broker.getValue()), title: "How objects that go into the portal are published. Persistent (guaranteed) messages are acknowledged by the broker and kept until they are delivered. Direct messages are faster but are lost if there is nowhere to deliver them", options: [{value: "persistent", label: "Persistent / Guaranteed"}, {value: "direct", label: "Direct"}]},
+      {name: "publishQos", type: "select", label: "Publish QoS", dependsOn: ["broker"], showIf: (obj, inputs) => this.isMqttBroker(inputs.broker.getValue()), title: "The MQTT QoS that objects that go into the portal are published with. 0 is at most once, 1 is at least once and 2 is exactly once", options: [{value: 0, label: "0 - At most once"}, {value: 1, label: "1 - At least once"}, {value: 2, label: "2 - Exactly once"}]},
+      {name: "retain", type: "boolean", label: "Retain", dependsOn: ["broker"], showIf: (obj, inputs) => this.isMqttBroker(inputs.broker.getValue()), title: "If enabled, objects are published with the MQTT retain flag, so the broker keeps the last one on each topic and hands it to new subscribers"},
+      {name: "exitInterval", type: "text", label: "Exit Interval (ms)", title: "The time between objects coming out of the portal. Objects that arrive closer together than this wait in a queue, and the number waiting is shown below the portal. 0 lets them all out at once"},
+      {name: "exitSpeed", type: "numberRange", min: 0.2, max: 3, step: 0.1, label: "Exit Speed", title: "Scales the speed that objects come out of the portal at, compared to the speed they went in"},
+      {name: "ingressFilter", type: "text", width: 50, label: "Ingress Filter", title: "Only objects that pass this filter come out of the portal, e.g. type == \"ball\" && color == \"#ff0000\" or topicLevel(3) == \"Block\". Any field of the object (type, color, radius, label, velocity.x, ...) and the topic can be used, with == != < <= > >=, && || !, parentheses and the functions topicLevel(n), contains, startsWith, endsWith, lower and upper. Empty lets everything through"},
+      {name: "rejectTopic", type: "text", width: 50, label: "Reject Topic", title: "If set, objects that don't pass the ingress filter are sent on to this topic rather than just being dropped. It can use the same ${...} expressions as the topic template. An object is only sent on once, so that two portals can't pass it back and forth"},
+      {name: "showThroughput", type: "boolean", label: "Show Throughput", title: "If enabled, the number of objects sent and received and the messages per second over the last few seconds are shown below the portal"},
+      {name: "throughput", type: "info", label: "Throughput", title: "Objects sent and received by this portal since the page was loaded"},
+      {name: "useTransformRules", type: "boolean", label: "Use Transform Rules", title: "If enabled, the rules below change objects as they come out of the portal"},
+      {name: "transformRules", type: "list", entryName: "Rule", dependsOn: ["useTransformRules"], showIf: (obj, inputs) => inputs.useTransformRules.getValue(), label: "Transform Rules", title: "Each rule is 'condition => field = value; ...', e.g. topicLevel(3) == \"Block\" => color = \"#00ff00\" or type == \"ball\" => type = \"block\". The condition is written like the ingress filter and can also use 'subscription', the subscription that matched. '*' matches everything. The fields type, color, label, labelColor, radius, width, height and ttl (which restarts the time-to-live from now, or 0 for none) can be changed and values can use ${...} expressions such as ${label}-${seqNum(n)}. Every rule that matches is applied, in order"},
+      {name: "useOutbox", type: "boolean", label: "Outbox While Disconnected", title: "If enabled, objects that go into the portal while it isn't connected are queued (and kept across reloads) and sent in order when the connection comes back. The number waiting is shown below the portal"},
+      {name: "consumerGroup", type: "text", label: "Consumer Group", title: "If set, the portal's subscriptions are shared with every other portal in the same consumer group (MQTT $share or Solace #share), on this page or any other. Each object then comes out of only one portal in the group, rather than out of all of them. Leave it empty for every portal to get a copy"},
       {name: "useSubscriptionList", type: "boolean", label: "Use Subscription List", title: "If enabled, the subscriptions below will be added in addition to the normal portal subscriptions"},
       {name: "subscriptionList", type: "list", entryName: "Subscription", dependsOn: ["useSubscriptionList"], showIf: (obj, inputs) => inputs.useSubscriptionList.getValue(), label: "Subscription List", title: "If 'Use SubScription List' is true, each subscription in this list will be subscribed to on the broker."},
       {name: "x", type: "hidden"},
       {name: "y", type: "hidden"},
       {name: "rotation", type: "hidden"},      
+      {name: "outboxId", type: "hidden"},
     ])
 
     // Get the UI Selection Manager
@@ -55,7 +162,23 @@ export class Portal extends StaticObject {
     this.create()
 
     // Connect to the broker after all of the objects have been created
-    setTimeout(() => this.manageConnection(), 1000);
+    this.connectTimer = setTimeout(() => this.manageConnection(), 1000);
+
+    // Pick up anything left in the outbox from before a reload
+    this.outbox.count()
+      .then(count => this.setBacklog(count))
+      .catch(err => console.warn(`Portal ${this.name} can't read its outbox:`, err));
+
+    // Nothing comes out while the app is paused
+    this.onPlay = () => this.releaseExits();
+    this.app.addEventListener('play', this.onPlay);
+
+    // Connect once the broker's credentials are known
+    this.onCredentials = () => this.manageConnection();
+    this.app.addEventListener('credentials', this.onCredentials);
+
+    // The rate falls away when nothing is happening, so the label is refreshed regularly
+    this.throughputTimer = setInterval(() => this.updateThroughputLabel(), throughputInterval);
 
   }
 
@@ -87,7 +210,17 @@ export class Portal extends StaticObject {
     this.createMist(uisInfo);
     this.createTube(uisInfo);
     this.createBack(uisInfo);
+    this.createDirectionArrow();
     this.createScrewHeads();
+    this.createPeerLabel(uisInfo);
+    this.createErrorLabel(uisInfo);
+    this.createBacklogLabel(uisInfo);
+    this.createMatchLabel(uisInfo);
+    this.createDeliveryLabel(uisInfo);
+    this.createThroughputLabel(uisInfo);
+    this.createExitQueueLabel(uisInfo);
+    this.createRejectedLabel(uisInfo);
+    this.createExpiredLabel(uisInfo);
 
     this.setConnectEffects();
     
@@ -96,7 +229,19 @@ export class Portal extends StaticObject {
 
   }
 
+  // The portal is going, either deleted or by a reset of the world. Stop answering for it on the
+  // shared session and stop everything that would keep drawing it
   destroy() {
+    this.disconnect();
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.exitTimer);
+    clearTimeout(this.errorTimer);
+    clearTimeout(this.matchTimer);
+    clearInterval(this.throughputTimer);
+    this.app.removeEventListener('play', this.onPlay);
+    this.app.removeEventListener('credentials', this.onCredentials);
+    this.exitTimer = null;
+    this.exitQueue = [];
     this.destroyPortal();
     super.destroy();
   }
@@ -122,24 +267,42 @@ export class Portal extends StaticObject {
   }
 
   saveConfigForm(form) {
+    const prevBroker    = this.broker;
+    const prevQueueBind = this.getQueueBinding();
+
     this.setValues(form)
     this.reDraw();
+
+    // Report a filter or rule that doesn't parse straight away
+    this.getIngressFilter();
+    this.getTransformRules();
+
+    // A different broker or queue binding means re-attaching to the broker
+    if (this.attachedBroker && (this.broker !== prevBroker || this.getQueueBinding() !== prevQueueBind)) {
+      this.disconnect();
+    }
     this.manageConnection();
+
+    // Pick up any changes to the subscriptions
+    if (this.attachedBroker) {
+      this.subscribeToPortalTopics();
+    }
     this.saveableConfigChanged();
   }
 
   manageConnection() {
-    if (this.enabled && !this.brokerConnection) {
+    if (this.enabled && !this.attachedBroker) {
       this.connect();
     }
-    else if (!this.enabled && this.brokerConnection) {
+    else if (!this.enabled && this.attachedBroker) {
       this.disconnect();
     }
   }
 
-  // Connect to the configured Broker
+  // Connect to the configured Broker. The broker owns a single session that is shared by
+  // all of its portals
   connect() {
-    if (this.brokerConnection || !this.broker) {
+    if (this.attachedBroker || !this.broker) {
       return;
     }
 
@@ -147,26 +310,32 @@ export class Portal extends StaticObject {
     if (!broker) {
       return;
     }
-
-    this.brokerConnection = broker.createConnection({
-      onConnect: connection => this.onConnect(connection),
-      onDisconnect: connection => this.onDisconnect(connection),
-      onMessage: (topic, message, payload) => this.onMessage(topic, message, payload)
-    });
-
-    if (this.bindToQueue && this.queueName) {
-      this.brokerConnection.bindToQueue(this.queueName);
+    if (!broker.hasCredentials()) {
+      console.log(`Portal ${this.name} is waiting for the credentials of broker ${broker.getName()}`);
+      return;
     }
+
+    this.attachedBroker = broker;
+    broker.attachPortal(this);
   }
 
   // Disconnect from the configured Broker
   disconnect() {
-    if (!this.brokerConnection) {
+    if (!this.attachedBroker) {
       return;
     }
 
-    this.brokerConnection.disconnect();
-    this.brokerConnection = null;
+    this.stopDiscovery();
+    this.attachedBroker.detachPortal(this);
+    this.attachedBroker   = null;
+    this.connected        = false;
+    this.connectionState  = "disconnected";
+    this.setConnectEffects();
+  }
+
+  // The name of the queue this portal is bound to, if any
+  getQueueBinding() {
+    return this.bindToQueue && this.queueName && this.canReceive() ? this.queueName : null;
   }
 
   // Called when the connection to the broker is established
@@ -175,26 +344,322 @@ export class Portal extends StaticObject {
 
     this.connected = true;
 
-    // Change the mist color to indicate that we are connected
-    this.mist.material.color.setHex(0x000000);
-    this.pointLight.intensity = 3.3;
-
     // Subscribe to the portal topics
     this.subscribeToPortalTopics();
 
+    // Send anything that was queued while we were disconnected
+    this.flushOutbox();
+
   }
 
   // Called when the connection to the broker is lost
   onDisconnect(connection) {
     console.log("Disconnected from broker", connection);
     this.connected = false;
+    this.stopDiscovery();
+  }
+
+  // Called whenever the broker connection changes state (connecting, connected, reconnecting, failed, ...)
+  onConnectionStateChange(state, connection) {
+    this.connectionState = state;
+    this.connected       = state === "connected";
+    if (!this.connected) {
+      this.stopDiscovery();
+    }
+    this.setConnectEffects();
+
+    // The broker may not have existed when we were drawn, so its protocol wasn't known
+    this.updateDeliveryLabel();
+  }
+
+  // The topic that portals with our portal id use to find each other
+  getDiscoveryTopic() {
+    return `${controlTopicPrefix}/discover/${this.portalId}`;
+  }
+
+  // What we tell other pages about ourselves when discovering peers
+  getPeerInfo() {
+    return {pageId: this.app.getPageId(), portalGuid: this.guid, name: this.name, direction: this.direction};
+  }
+
+  canSend() {
+    return this.direction !== "receive";
+  }
+
+  canReceive() {
+    return this.direction !== "send";
+  }
+
+  // Peers are the pages that will receive what goes in, so only a portal that sends looks for them
+  startDiscovery() {
+    this.stopDiscovery();
+    if (!this.canSend()) {
+      return;
+    }
+    this.discoverPeers();
+    this.discoveryTimer = setInterval(() => this.discoverPeers(), discoveryInterval);
+  }
+
+  stopDiscovery() {
+    if (this.discoveryTimer) {
+      clearInterval(this.discoveryTimer);
+      this.discoveryTimer = null;
+    }
+    this.setPeers(new Map());
+  }
+
+  // Ask the other pages that are listening on our portal id to reply
+  discoverPeers() {
+    if (!this.attachedBroker || !this.connected) {
+      return;
+    }
+
+    const pageId = this.app.getPageId();
+    this.attachedBroker.requestAll(this.getDiscoveryTopic(), this.getPeerInfo(), {timeout: discoveryTimeout})
+      .then(replies => {
+        // A page with more than one portal on this id replies once for each of them
+        const peers = new Map();
+        replies.forEach(reply => {
+          if (reply && reply.pageId && reply.pageId !== pageId) {
+            peers.set(reply.pageId, reply);
+          }
+        });
+        if (this.connected) {
+          this.setPeers(peers);
+        }
+      })
+      .catch(err => console.log("Peer discovery failed:", err.message));
+  }
+
+  // Another page is looking for portals with our portal id
+  onDiscoveryRequest(payload, match) {
+    if (!payload || !payload.pageId || payload.pageId === this.app.getPageId() || !this.attachedBroker) {
+      return;
+    }
+
+    this.attachedBroker.reply(match, this.getPeerInfo());
+
+    // If it is listening too, count it now rather than at our next discovery
+    if (this.canSend() && payload.direction !== "send" && !this.peers.has(payload.pageId)) {
+      const peers = new Map(this.peers);
+      peers.set(payload.pageId, payload);
+      this.setPeers(peers);
+    }
+  }
+
+  setPeers(peers) {
+    const changed = peers.size !== this.peers.size;
+    this.peers = peers;
+    if (changed) {
+      this.updatePeerLabel();
+    }
   }
 
   // Called when a message is received from the broker
-  onMessage(topic, message, payload) {
+  onMessage(topic, message, payload, match) {
     console.log("Message received", topic, message, payload);
 
-    let newObj = payload;
+    // Nothing we can do with a payload that didn't decode. Control messages, such as
+    // discovery, also match wide subscriptions but aren't objects
+    if (!payload || topic.startsWith(`${controlTopicPrefix}/`) || !this.canReceive()) {
+      return;
+    }
+
+    const {envelope: env, error} = envelope.open(payload);
+    if (error) {
+      console.warn(`Portal ${this.name} rejected message on ${topic}: ${error}`, payload);
+      return;
+    }
+
+    this.receivedCount++;
+    this.countMessage();
+
+    // Continue the object's trace. Publishers other than us may only have it in the message headers
+    if (!env.traceparent && this.attachedBroker) {
+      const userProps = this.attachedBroker.getUserProperties(message);
+      env.traceparent = userProps ? userProps.traceparent : undefined;
+    }
+
+    const filter = this.getIngressFilter();
+    if (filter && !filter.test(this.getFilterVariables(env, topic, match))) {
+      this.rejectObject(env, topic);
+      return;
+    }
+
+    // Show how the object was routed to us - which subscription or queue let it in
+    const matchedBy = this.explainMatch(topic, match);
+    this.showMatch(matchedBy);
+
+    let arrival = `Portal: ${this.name}\nTopic: ${topic}\nMatched: ${matchedBy}`;
+
+    const applied = this.applyTransformRules(env, topic, match);
+    if (applied.length) {
+      arrival += `\nTransformed by: ${applied.join(" | ")}`;
+    }
+
+    this.queueExit(env, topic, arrival);
+
+  }
+
+  // The compiled ingress filter, or null if there isn't one or it doesn't parse. A filter that
+  // doesn't parse lets everything through
+  getIngressFilter() {
+    if (this.ingressFilterText !== this.ingressFilter) {
+      this.ingressFilterText = this.ingressFilter;
+      this.compiledFilter    = null;
+      if (this.ingressFilter && this.ingressFilter.trim()) {
+        try {
+          this.compiledFilter = new FilterExpression(this.ingressFilter);
+        } catch (err) {
+          console.warn(`Portal ${this.name} ingress filter is ignored: ${err.message}`);
+          this.showError(`Bad filter: ${err.message}`);
+        }
+      }
+    }
+    return this.compiledFilter;
+  }
+
+  // What the ingress filter, transform rules and reject topic can refer to - the object's fields,
+  // the topic and the subscription that matched
+  getFilterVariables(env, topic, match) {
+    return Object.assign({}, env.body, {
+      type:         env.type,
+      topic:        topic,
+      subscription: match && match.subscription,
+      originPageId: env.originPageId,
+      originPortal: env.originPortal,
+    });
+  }
+
+  // The compiled transform rules. Rules that don't parse are left out
+  getTransformRules() {
+    const rules = this.useTransformRules ? this.transformRules : [];
+    const text  = JSON.stringify(rules);
+    if (this.transformRulesText !== text) {
+      this.transformRulesText = text;
+      this.compiledRules      = [];
+      rules.forEach(rule => {
+        if (!rule || !rule.trim()) {
+          return;
+        }
+        try {
+          this.compiledRules.push(new TransformRule(rule));
+        } catch (err) {
+          console.warn(`Portal ${this.name} transform rule '${rule}' is ignored: ${err.message}`);
+          this.showError(`Bad rule: ${err.message}`);
+        }
+      });
+    }
+    return this.compiledRules;
+  }
+
+  // Apply each rule that matches to the arriving object, in order. Returns the rules applied
+  applyTransformRules(env, topic, match) {
+    const rules = this.getTransformRules();
+    if (!rules.length) {
+      return [];
+    }
+    const variables = Object.assign(this.getFilterVariables(env, topic, match), {
+      name:     this.name,
+      portalId: this.portalId,
+      pageId:   this.app.getPageId(),
+    });
+    const applied = [];
+    rules.forEach(rule => {
+      if (rule.matches(variables)) {
+        rule.apply(env, variables);
+        applied.push(rule.text);
+      }
+    });
+    return applied;
+  }
+
+  // Count an object that didn't pass the ingress filter and send it on to the reject topic, if
+  // there is one. An object that has already been rejected once isn't sent on again
+  rejectObject(env, topic) {
+    console.log(`Portal ${this.name} filtered out ${env.type} on ${topic}`);
+    this.rejectedCount++;
+    this.updateRejectedLabel();
+
+    if (!this.rejectTopic || env.rejectedBy || !this.connected) {
+      return;
+    }
+
+    const variables = Object.assign(this.getFilterVariables(env, topic), {
+      name:     this.name,
+      portalId: this.portalId,
+      pageId:   this.app.getPageId(),
+    });
+    const rejectTopic = utils.resolveExpression(this.rejectTopic, variables);
+    const message     = envelope.create({
+      type:         env.type,
+      originPageId: this.app.getPageId(),
+      originPortal: this.guid,
+      traceparent:  traceContext.nextHop(env.traceparent),
+      expiresAt:    env.expiresAt,
+      delivery:     this.getDelivery(),
+      rejectedBy:   {portal: this.name, topic: topic, filter: this.ingressFilter},
+      body:         env.body,
+    });
+    this.attachedBroker.publish(rejectTopic, message, this.getPublishOptions(message))
+      .catch(err => console.warn(`Portal ${this.name} couldn't send the rejected ${env.type} to ${rejectTopic}: ${err.message}`));
+  }
+
+  // Objects come out one at a time, exitInterval ms apart, rather than all on top of each other
+  queueExit(env, topic, arrival) {
+    this.exitQueue.push({env: env, topic: topic, arrival: arrival});
+    this.releaseExits();
+  }
+
+  releaseExits() {
+    while (this.exitQueue.length && !this.exitTimer && this.app.getAppState() != 'paused') {
+      const wait = this.lastExitTime + utils.toInt(this.exitInterval, defaultExitInterval) - Date.now();
+      if (wait > 0) {
+        this.exitTimer = setTimeout(() => {
+          this.exitTimer = null;
+          this.releaseExits();
+        }, wait);
+        break;
+      }
+
+      const {env, topic, arrival} = this.exitQueue.shift();
+      this.lastExitTime = Date.now();
+      const addedObj = this.emitObject(env, topic);
+      if (addedObj && arrival) {
+        addedObj.setArrival(arrival);
+      }
+    }
+    this.updateExitQueueLabel();
+  }
+
+  // Describe which of our subscriptions, or our queue binding, a message came in on
+  explainMatch(topic, match) {
+    if (match && match.queueName) {
+      return `queue binding '${match.queueName}'`;
+    }
+    let subscriptions = match && match.subscriptions ? match.subscriptions : [];
+    if (!subscriptions.length) {
+      subscriptions = this.getSubscriptions().map(sub => sub.subscription).filter(sub => TopicMatcher.matches(sub, topic));
+    }
+    if (!subscriptions.length) {
+      return "no subscription";
+    }
+    const kind  = this.useSubscriptionList ? "subscription list" : "default subscription";
+    const group = match && match.group ? `, consumer group '${match.group}'` : "";
+    return `${subscriptions.join(", ")} (${kind}${group})`;
+  }
+
+  // Bring the object in an envelope into the world, coming out of this portal
+  emitObject(env, topic) {
+    // An object that took too long to get here is dropped rather than brought to life
+    if (env.expiresAt && Date.now() > env.expiresAt) {
+      this.expiredCount++;
+      this.updateExpiredLabel();
+      console.log(`Portal ${this.name} dropped expired ${env.type} from ${topic} - ${Date.now() - env.expiresAt}ms late (${this.expiredCount} expired so far)`);
+      return;
+    }
+
+    let newObj = env.body;
 
     // Set the position of the new object to be just in front of the portal
     newObj.x = this.x + (Math.cos(this.rotation) * 10);
@@ -203,25 +668,42 @@ export class Portal extends StaticObject {
     // Adjust the rotation of the new object to be the same as the portal
     newObj.rotation = newObj.rotation + this.rotation;
 
-    // Rotate the new object's velocity to match the portal's rotation
-    const velocity = utils.rotatePoint(0, 0, newObj.velocity.x, newObj.velocity.y, this.rotation + Math.PI);
+    // Rotate the new object's velocity to match the portal's rotation, at the portal's exit speed
+    const speed    = parseFloat(this.exitSpeed) || defaultExitSpeed;
+    const velocity = utils.rotatePoint(0, 0, newObj.velocity.x * speed, newObj.velocity.y * speed, this.rotation + Math.PI);
     newObj.velocity.x = velocity[0];
     newObj.velocity.y = velocity[1];
     
     // Need to create the object that is coming into the world
-    let addedObj = this.app.world.addObjectFromMessage(payload, topic);
+    let addedObj = this.app.world.addObjectFromMessage(env, topic);
     if (addedObj) {
       // Remember that this object came from the portal
       addedObj.setFromPortal(this);
+      addedObj.setTraceparent(env.traceparent);
+      addedObj.setExpiresAt(env.expiresAt);
+      if (env.delivery) {
+        addedObj.setTrail(this.getTrailColor(env.delivery));
+      }
     }
 
+    return addedObj;
   }
 
   // Called when an object collides with the portal
   onCollision(body, obj) {
     console.log("Collision with portal");
+
+    // A receive-only portal doesn't take objects in - they bounce off the back of it
+    if (!this.canSend()) {
+      return;
+    }
+
+    // With the outbox on, objects are queued while we are disconnected and also while there
+    // is still a backlog, so that they go out in order
+    const queue = this.useOutbox && (!this.connected || this.backlog > 0);
+
     // If we aren't connected to the broker, don't do anything
-    if (!this.connected) {
+    if (!this.connected && !queue) {
       console.log("Not connected to broker");
       return;
     }
@@ -234,8 +716,13 @@ export class Portal extends StaticObject {
 
     // If the object is not static, then we need to send it to the broker
     if (!obj.isStatic()) {
-      this.sendObjectToBroker(body, obj);
-      obj.destroy();
+      if (queue) {
+        this.queueObject(body, obj);
+      }
+      else {
+        this.sendObjectToBroker(body, obj);
+      }
+      this.app.getWorld().removeObject(obj);
     }
     else {
       console.log("Object is static");
@@ -245,6 +732,110 @@ export class Portal extends StaticObject {
 
   // Send an object to the broker
   sendObjectToBroker(body, obj) {
+    const {topic, message} = this.createMessage(body, obj);
+
+    // The publish doesn't settle until the broker has taken it, so that it can come back out if
+    // the broker won't
+    console.log("Sending message to broker", topic, message);
+    this.attachedBroker.publish(topic, message, this.getPublishOptions(message))
+      .then(() => this.onSent())
+      .catch(err => this.onPublishFailed(message, topic, err));
+  }
+
+  // Called when the broker has taken an object from us
+  onSent() {
+    this.sentCount++;
+    this.countMessage();
+  }
+
+  // Put an object in the outbox to be sent when we are connected
+  queueObject(body, obj) {
+    const {topic, message} = this.createMessage(body, obj);
+
+    console.log("Queueing message in the outbox", topic, message);
+    this.setBacklog(this.backlog + 1);
+    this.outbox.add({topic: topic, message: message})
+      .then(() => this.flushOutbox())
+      .catch(err => {
+        console.warn(`Portal ${this.name} failed to queue ${message.type}:`, err);
+        this.setBacklog(this.backlog - 1);
+        this.onPublishFailed(message, topic, err);
+      });
+  }
+
+  // Send what is in the outbox, oldest first. Each message waits for the broker to take it
+  // before the next one goes, to keep the order
+  async flushOutbox() {
+    if (this.flushing || !this.connected) {
+      return;
+    }
+    this.flushing = true;
+
+    try {
+      const entries = await this.outbox.list();
+      for (const entry of entries) {
+        if (!this.connected || !this.attachedBroker) {
+          break;
+        }
+
+        const {topic, message} = entry;
+        if (message.expiresAt && Date.now() > message.expiresAt) {
+          console.log(`Dropping expired ${message.type} from the outbox`);
+          await this.outbox.remove(entry.id);
+          continue;
+        }
+
+        try {
+          console.log("Sending message from the outbox", topic, message);
+          await this.attachedBroker.publish(topic, message, this.getPublishOptions(message));
+          this.onSent();
+        }
+        catch (err) {
+          if (!this.connected) {
+            // Lost the connection - it stays in the outbox for next time
+            break;
+          }
+          this.onPublishFailed(message, topic, err);
+        }
+        await this.outbox.remove(entry.id);
+        this.setBacklog(await this.outbox.count());
+      }
+      this.setBacklog(await this.outbox.count());
+    }
+    catch (err) {
+      console.warn(`Portal ${this.name} failed to send from the outbox:`, err);
+    }
+
+    this.flushing = false;
+
+    // More may have been queued while we were busy
+    if (this.connected && this.backlog > 0) {
+      setTimeout(() => this.flushOutbox(), 0);
+    }
+  }
+
+  setBacklog(backlog) {
+    backlog = Math.max(0, backlog);
+    if (backlog !== this.backlog) {
+      this.backlog = backlog;
+      this.updateBacklogLabel();
+    }
+  }
+
+  getPublishOptions(message) {
+    const delivery = message.delivery || this.getDelivery();
+    return {
+      qos:          delivery.qos,
+      deliveryMode: delivery.mode,
+      retain:       delivery.retain,
+      traceparent:  message.traceparent,
+      // The broker can discard the message once the object's time-to-live has run out
+      timeToLive:   message.expiresAt ? Math.max(1, message.expiresAt - Date.now()) : undefined,
+    };
+  }
+
+  // Wrap an object that has gone into the portal in an envelope, ready to send
+  createMessage(body, obj) {
 
     // First get the full config of the object
     const config = obj.getConfig();
@@ -264,7 +855,6 @@ export class Portal extends StaticObject {
     config.rotation        = objRotation;
     config.angularVelocity = angularVelocity;
     config.guid            = obj.guid;
-    config.type            = obj.constructor.name.toLowerCase();
 
     // Create the topic
     // If the object has a configured topic, use that, otherwise use the portal's topic
@@ -273,33 +863,110 @@ export class Portal extends StaticObject {
       topic = obj.topic;
     }
     else {
-      const objType  = obj.constructor.name;
-      const objColor = obj.color;
-      topic = `portal/${this.name}/${this.portalId}/${objType}/${objColor}`;
+      topic = this.resolveTopic(obj, config);
     }
 
-    // Send the message to the broker
-    console.log("Sending message to broker", topic, config);
-    this.brokerConnection.publish(topic, config);
+    // This hop is a new span in the object's trace
+    const traceparent = traceContext.nextHop(obj.getTraceparent());
+    obj.setTraceparent(traceparent);
+
+    // Wrap it up. The origin portal lets the broker avoid handing it straight back to us
+    const message = envelope.create({
+      type:         obj.constructor.name.toLowerCase(),
+      originPageId: this.app.getPageId(),
+      originPortal: this.guid,
+      traceparent:  traceparent,
+      expiresAt:    obj.getExpiresAt(),
+      delivery:     this.getDelivery(),
+      body:         config,
+    });
 
+    return {topic: topic, message: message};
   }
 
-  // Subscribe to the portal topics
-  subscribeToPortalTopics() {
-    console.log("Subscribing to portal topics1");
-    if (!this.brokerConnection) {
+  isMqttBroker(name) {
+    const broker = this.app.getBrokerByName(name);
+    return broker ? broker.protocol == "mqtt" : false;
+  }
+
+  // How objects sent through this portal are delivered - {mode, qos, retain}. MQTT is
+  // configured by QoS, the other protocols by delivery mode
+  getDelivery() {
+    if (this.isMqttBroker(this.broker)) {
+      const qos = utils.toInt(this.publishQos, 0);
+      return {mode: qos > 0 ? "persistent" : "direct", qos: qos, retain: this.retain};
+    }
+    return {mode: this.deliveryMode, qos: this.deliveryMode === "persistent" ? 1 : 0, retain: false};
+  }
+
+  getTrailColor(delivery) {
+    return delivery.qos === 2 ? trailColors.exactlyOnce : trailColors[delivery.mode];
+  }
+
+  // Work out the topic for an object from the portal's topic template
+  resolveTopic(obj, config) {
+    const variables = Object.assign({}, config, {
+      name:     this.name,
+      portalId: this.portalId,
+      pageId:   this.app.getPageId(),
+      type:     obj.constructor.name.toLowerCase(),
+      objType:  obj.constructor.name,
+      color:    obj.color,
+      guid:     obj.guid,
+      topic:    obj.topic || "",
+    });
+    return utils.resolveExpression(this.topicTemplate || defaultTopicTemplate, variables);
+  }
+
+  // The broker didn't take an object (quota, ACL, no subscribers, lost connection, ...), so
+  // eject it back out of the portal and show why
+  onPublishFailed(message, topic, err) {
+    console.warn(`Portal ${this.name}: ${message.type} on ${topic} was not accepted by the broker: ${err.message}`);
+    this.showError(`Rejected: ${err.message}`);
+
+    const {envelope: env, error} = envelope.open(utils.deepCopy(message));
+    if (error) {
+      console.warn(`Portal ${this.name} can't eject the rejected object: ${error}`);
       return;
     }
-    console.log("Subscribing to portal topics", this.portalId);
+    this.queueExit(env, topic);
+  }
 
-    // Subscribe to the portal topics
+  // The subscriptions this portal wants. Each entry has a subscription, a qos and the consumer
+  // group, if the portal is in one
+  getSubscriptions() {
+    const qos   = this.guaranteedDelivery ? 1 : 0;
+    const group = this.getConsumerGroup();
+    if (!this.canReceive()) {
+      return [];
+    }
     if (this.useSubscriptionList) {
-      const subs = this.subscriptionList.map(sub => {return {subscription: sub, qos: 0}});
-      this.brokerConnection.setSubscriptions(subs);
+      return this.subscriptionList.map(sub => {return {subscription: sub, qos: qos, group: group}});
     }
     else {
-      const subs = [{subscription: `portal/*/${this.portalId}/#`, qos: 0}];
-      this.brokerConnection.setSubscriptions(subs);
+      return [{subscription: `portal/*/${this.portalId}/#`, qos: qos, group: group}];
+    }
+  }
+
+  // The group name is a single topic level, so it can't have separators or wildcards in it
+  getConsumerGroup() {
+    const group = String(this.consumerGroup || "").trim().replace(/[\/#+*>$]/g, "_");
+    return group || undefined;
+  }
+
+  // Subscribe to the portal topics
+  subscribeToPortalTopics() {
+    if (!this.attachedBroker) {
+      return;
+    }
+    console.log("Subscribing to portal topics", this.portalId);
+
+    // The broker merges our subscriptions with those of the other portals on the session
+    this.attachedBroker.updateSubscriptions();
+
+    // The portal id may have changed, so find our peers again
+    if (this.connected) {
+      this.startDiscovery();
     }
   }
 
@@ -318,8 +985,10 @@ export class Portal extends StaticObject {
     this.reDraw();
   }
 
+  // Show the state of the broker connection. The mist is only open when connected and
+  // the ring changes colour while reconnecting or after giving up
   setConnectEffects() {
-    if (this.brokerConnection) {
+    if (this.connectionState === "connected") {
       this.mist.material.color.setHex(openColor);
       this.pointLight.intensity = 3.3;
       this.torus.material.emmisiveIntensity = 2.0;
@@ -329,6 +998,244 @@ export class Portal extends StaticObject {
       this.pointLight.intensity = 0.4;
       this.torus.material.emmisiveIntensity = 0.0;
     }
+
+    if (this.connectionState === "reconnecting") {
+      this.torus.material.emissive.setHex(reconnectingColor);
+      this.pointLight.color.setHex(reconnectingColor);
+    }
+    else if (this.connectionState === "failed") {
+      this.torus.material.emissive.setHex(failedColor);
+      this.pointLight.color.setHex(failedColor);
+    }
+    else {
+      this.torus.material.emissive.setHex(this.color);
+      this.pointLight.color.setHex(this.color);
+    }
+
+    if (this.peerLabel) {
+      this.peerLabel.visible = this.connectionState === "connected" && this.canSend();
+    }
+  }
+
+  // Create a text label next to the ring. Positive rows are above the ring and negative rows
+  // hang below it
+  createLabel(text, backgroundColor, row, uisInfo) {
+    const {texture, height, width} = utils.textToTexture({
+      text:            text,
+      height:          this.app.scale(labelHeight),
+      fontSize:        12,
+      padding:         3,
+      align:           'center',
+      color:           'white',
+      backgroundColor: backgroundColor,
+    });
+
+    const tr   = this.app.scale(torusRadius);
+    const ttr  = this.app.scale(torusTubeRadius);
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, height),
+      new THREE.MeshBasicMaterial({map: texture, transparent: true, opacity: 0.9})
+    );
+    const offset = tr + ttr + height * (Math.abs(row) * 1.2 - 0.2);
+    mesh.position.set(0, Math.sign(row) * offset, tr);
+
+    this.group.add(mesh);
+    this.uis.registerObject(mesh, uisInfo);
+    this.labelUisInfo = uisInfo;
+
+    return mesh;
+  }
+
+  removeLabel(mesh) {
+    this.group.remove(mesh);
+    this.uis.unregisterObject(mesh);
+    mesh.geometry.dispose();
+    mesh.material.map.dispose();
+    mesh.material.dispose();
+  }
+
+  // A label below the ring with the number of other pages that will receive what goes in
+  createPeerLabel(uisInfo) {
+    const count = this.peers.size;
+    this.peerLabel = this.createLabel(`${count} peer${count === 1 ? "" : "s"}`, count ? '#006400' : '#404040', -1, uisInfo);
+    this.peerLabel.visible = this.connectionState === "connected" && this.canSend();
+  }
+
+  updatePeerLabel() {
+    if (!this.peerLabel) {
+      return;
+    }
+    this.removeLabel(this.peerLabel);
+    this.createPeerLabel(this.labelUisInfo);
+  }
+
+  // A label with the number of objects waiting in the outbox, when there are any
+  createBacklogLabel(uisInfo) {
+    this.backlogLabel = this.backlog ? this.createLabel(`${this.backlog} queued`, '#b06000', -4, uisInfo) : null;
+  }
+
+  updateBacklogLabel() {
+    if (this.backlogLabel) {
+      this.removeLabel(this.backlogLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createBacklogLabel(this.labelUisInfo);
+    }
+  }
+
+  // A label above the ring with the last error, while it is on show
+  createErrorLabel(uisInfo) {
+    this.errorLabel = this.errorText ? this.createLabel(this.errorText, '#b00000', 1, uisInfo) : null;
+  }
+
+  updateErrorLabel() {
+    if (this.errorLabel) {
+      this.removeLabel(this.errorLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createErrorLabel(this.labelUisInfo);
+    }
+  }
+
+  showError(text) {
+    this.errorText = text;
+    clearTimeout(this.errorTimer);
+    this.errorTimer = setTimeout(() => {
+      this.errorText = null;
+      this.updateErrorLabel();
+    }, errorDisplayTime);
+    this.updateErrorLabel();
+  }
+
+  // A label below the ring with how objects that go in are published, in the colour of the
+  // trail they leave when they come out
+  createDeliveryLabel(uisInfo) {
+    const delivery = this.getDelivery();
+    let text;
+    if (this.isMqttBroker(this.broker)) {
+      text = `QoS ${delivery.qos}${delivery.retain ? " retained" : ""}`;
+    }
+    else {
+      text = delivery.mode === "direct" ? "Direct" : "Persistent";
+    }
+    const color = `#${this.getTrailColor(delivery).toString(16).padStart(6, "0")}`;
+    this.deliveryLabel = this.createLabel(text, color, -2, uisInfo);
+  }
+
+  updateDeliveryLabel() {
+    if (this.deliveryLabel) {
+      this.removeLabel(this.deliveryLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createDeliveryLabel(this.labelUisInfo);
+    }
+  }
+
+  countMessage() {
+    this.recentMessages.push(Date.now());
+    this.updateThroughputLabel();
+  }
+
+  // Sent and received counts and the messages per second, in both directions, over the last
+  // rateWindow ms
+  getThroughput() {
+    const since = Date.now() - rateWindow;
+    while (this.recentMessages.length && this.recentMessages[0] < since) {
+      this.recentMessages.shift();
+    }
+    const rate = this.recentMessages.length * 1000 / rateWindow;
+    return `Sent ${this.sentCount} | Received ${this.receivedCount} | ${rate.toFixed(1)} msg/s`;
+  }
+
+  // A label below the ring with the throughput, if it is turned on
+  createThroughputLabel(uisInfo) {
+    this.throughput      = this.getThroughput();
+    this.throughputLabel = this.showThroughput ? this.createLabel(this.throughput, '#303030', -3, uisInfo) : null;
+  }
+
+  updateThroughputLabel() {
+    if (this.getThroughput() === this.throughput) {
+      return;
+    }
+    if (this.throughputLabel) {
+      this.removeLabel(this.throughputLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createThroughputLabel(this.labelUisInfo);
+    }
+  }
+
+  // A label above the ring with the number of arrivals the ingress filter has turned away
+  createRejectedLabel(uisInfo) {
+    const count = this.rejectedCount;
+    this.rejectedLabel = count ? this.createLabel(`${count} rejected by filter`, '#7a1f1f', 3, uisInfo) : null;
+  }
+
+  updateRejectedLabel() {
+    if (this.rejectedLabel) {
+      this.removeLabel(this.rejectedLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createRejectedLabel(this.labelUisInfo);
+    }
+  }
+
+  // A label above the ring with the number of arrivals that had run out of time-to-live
+  createExpiredLabel(uisInfo) {
+    const count = this.expiredCount;
+    this.expiredLabel = count ? this.createLabel(`${count} expired in transit`, '#6b5300', 4, uisInfo) : null;
+  }
+
+  updateExpiredLabel() {
+    if (this.expiredLabel) {
+      this.removeLabel(this.expiredLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createExpiredLabel(this.labelUisInfo);
+    }
+  }
+
+  // A label with the number of objects waiting to come out, when there are any
+  createExitQueueLabel(uisInfo) {
+    const depth = this.exitQueue.length;
+    this.exitQueueLabel = depth ? this.createLabel(`${depth} waiting to exit`, '#5a3d8a', -5, uisInfo) : null;
+    this.exitDepthShown = depth;
+  }
+
+  updateExitQueueLabel() {
+    if (this.exitQueue.length === this.exitDepthShown) {
+      return;
+    }
+    if (this.exitQueueLabel) {
+      this.removeLabel(this.exitQueueLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createExitQueueLabel(this.labelUisInfo);
+    }
+  }
+
+  // A label above the ring with the subscription that matched the last arrival, for a moment
+  createMatchLabel(uisInfo) {
+    this.matchLabel = this.matchText ? this.createLabel(this.matchText, '#00647d', 2, uisInfo) : null;
+  }
+
+  updateMatchLabel() {
+    if (this.matchLabel) {
+      this.removeLabel(this.matchLabel);
+    }
+    if (this.labelUisInfo) {
+      this.createMatchLabel(this.labelUisInfo);
+    }
+  }
+
+  showMatch(text) {
+    this.matchText = `Matched ${text}`;
+    clearTimeout(this.matchTimer);
+    this.matchTimer = setTimeout(() => {
+      this.matchText = null;
+      this.updateMatchLabel();
+    }, matchDisplayTime);
+    this.updateMatchLabel();
   }
 
   createTorus(uisInfo) {
@@ -517,13 +1424,41 @@ export class Portal extends StaticObject {
 
     // Add the body inside the tube that will be the one that objects collide with
     const [x2, y2] = utils.rotatePoint(this.x, -this.y, this.x-btl+10, -this.y, utils.adjustRotationForPhysics(this.rotation));
-    mesh.userData.physicsBodies.push(this.physics.createBox(this, x2, y2, size/8, size*0.95, {onCollision: (body, obj) => this.onCollision(body, obj), isStatic: true, friction: 0.9, restitution: 0.2, angle: utils.adjustRotationForPhysics(this.rotation)}));
+    // A receive-only portal is springy so that objects bounce back out of it
+    const restitution = this.canSend() ? 0.2 : 0.9;
+    mesh.userData.physicsBodies.push(this.physics.createBox(this, x2, y2, size/8, size*0.95, {onCollision: (body, obj) => this.onCollision(body, obj), isStatic: true, friction: 0.9, restitution: restitution, angle: utils.adjustRotationForPhysics(this.rotation)}));
 
     // Register with the selection manager
     this.uis.registerObject(mesh, uisInfo);
 
   }
 
+  // An arrow across the mouth of a one way portal - pointing in for send only and out for
+  // receive only. A portal that goes both ways has none
+  createDirectionArrow() {
+    if (this.direction === "both") {
+      return;
+    }
+
+    const tr       = this.app.scale(torusRadius);
+    const sendOnly = this.direction === "send";
+    const geometry = new THREE.ConeGeometry(tr * 0.35, tr * 0.7, 3);
+    const material = new THREE.MeshStandardMaterial({
+      color:             sendOnly ? sendOnlyColor : receiveOnlyColor,
+      emissive:          sendOnly ? sendOnlyColor : receiveOnlyColor,
+      emissiveIntensity: 0.6,
+      transparent:       true,
+      opacity:           0.8,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+
+    // The cone points along +y, so turn it to point along the portal's axis
+    mesh.rotation.z = sendOnly ? Math.PI/2 : -Math.PI/2;
+    mesh.position.set(0, 0, tr * 2);
+
+    this.group.add(mesh);
+  }
+
   createScrewHeads() {
 
     // Some dimensions that we need to place the screw heads
@@ -624,6 +1559,4 @@ export class Portal extends StaticObject {
     ]
   }
 
-
-
 }
\ No newline at end of file
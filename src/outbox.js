@@ -0,0 +1,171 @@
+// outbox.js - Messages waiting for a broker connection
+//
+// Each portal with the outbox turned on has its own named outbox. The messages are kept in
+// IndexedDB so that they survive a reload, and come back out in the order they went in. If
+// IndexedDB isn't available (e.g. some private browsing modes) they are only kept in memory.
+//
+// Each message belongs to the page (tab) that queued it, so that two tabs with the same saved
+// config don't send each other's objects. Open pages say they are still there in localStorage
+// every few seconds. Once a page has gone quiet, the first page with an outbox of the same name
+// takes over its messages - so they are sent after the tab is closed and opened again, rather
+// than being left behind. Messages from builds that named the outbox '<pageId>/<name>' are taken
+// over the same way
+
+const dbName    = "goldberg-outbox"
+const dbVersion = 1
+const storeName = "messages"
+
+// Pages that have an outbox, with the last time each said it was still open
+const pagesKey          = "goldberg-outbox-pages"
+const heartbeatInterval = 5000
+const pageTimeout       = 30000
+const pageForgetTime    = 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+// Used when IndexedDB can't be opened
+let memoryEntries = []
+let memoryNextId  = 1
+
+let heartbeatPageId = null
+
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(dbName, dbVersion);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(storeName, {keyPath: "id", autoIncrement: true});
+        store.createIndex("outbox", "outbox");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+    }).catch(err => {
+      console.warn("Outbox can't use IndexedDB - queued objects will be lost on reload:", err.message);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+function loadPages() {
+  try {
+    return JSON.parse(localStorage.getItem(pagesKey)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Say that our page is still open, and forget pages that have been gone for a long time
+function heartbeat() {
+  const pages = loadPages();
+  const now   = Date.now();
+  Object.keys(pages).forEach(pageId => {
+    if (now - pages[pageId] > pageForgetTime) {
+      delete pages[pageId];
+    }
+  });
+  pages[heartbeatPageId] = now;
+  localStorage.setItem(pagesKey, JSON.stringify(pages));
+}
+
+function startHeartbeat(pageId) {
+  if (heartbeatPageId) {
+    return;
+  }
+  heartbeatPageId = pageId;
+  heartbeat();
+  setInterval(heartbeat, heartbeatInterval);
+}
+
+function isPageOpen(pages, pageId) {
+  return pageId === heartbeatPageId || (pages[pageId] && Date.now() - pages[pageId] < pageTimeout);
+}
+
+
+export class Outbox {
+  constructor(name, pageId) {
+    this.name   = name;
+    this.pageId = pageId;
+    startHeartbeat(pageId);
+  }
+
+  async getStore(mode) {
+    const db = await openDb();
+    return db ? db.transaction(storeName, mode).objectStore(storeName) : null;
+  }
+
+  // Is the entry in this outbox, under its current or its old '<pageId>/<name>' name
+  isOurs(entry) {
+    return entry.outbox === this.name || (!entry.pageId && entry.outbox.endsWith(`/${this.name}`));
+  }
+
+  // Take over the entries of this outbox that belong to pages that are no longer open
+  async claim() {
+    const store = await this.getStore("readwrite");
+    if (!store) {
+      return;
+    }
+    const pages   = loadPages();
+    const entries = await requestDone(store.getAll());
+    const orphans = entries.filter(e => {
+      if (!this.isOurs(e)) {
+        return false;
+      }
+      const owner = e.pageId || e.outbox.split("/")[0];
+      return owner === this.pageId ? e.outbox !== this.name : !isPageOpen(pages, owner);
+    });
+    if (orphans.length) {
+      console.log(`Outbox ${this.name} is taking over ${orphans.length} messages from closed pages or older builds`);
+    }
+    await Promise.all(orphans.map(e => requestDone(store.put(Object.assign(e, {outbox: this.name, pageId: this.pageId})))));
+  }
+
+  // Add an entry to the end of the outbox. Resolves with its id
+  async add(entry) {
+    const record = Object.assign({}, entry, {outbox: this.name, pageId: this.pageId, queuedAt: Date.now()});
+    const store  = await this.getStore("readwrite");
+    if (!store) {
+      record.id = memoryNextId++;
+      memoryEntries.push(record);
+      return record.id;
+    }
+    return requestDone(store.add(record));
+  }
+
+  // All our entries, oldest first
+  async list() {
+    await this.claim();
+    const store = await this.getStore("readonly");
+    if (!store) {
+      return memoryEntries.filter(e => e.outbox === this.name);
+    }
+    const entries = await requestDone(store.index("outbox").getAll(IDBKeyRange.only(this.name)));
+    return entries.filter(e => e.pageId === this.pageId).sort((a, b) => a.id - b.id);
+  }
+
+  async remove(id) {
+    const store = await this.getStore("readwrite");
+    if (!store) {
+      memoryEntries = memoryEntries.filter(e => e.id !== id);
+      return;
+    }
+    return requestDone(store.delete(id));
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+}
@@ -0,0 +1,114 @@
+// transform-rule.js - Rules that change objects as they come out of a portal
+//
+// A rule is a condition and one or more assignments, separated by '=>':
+//   topicLevel(3) == "Block" => color = "#00ff00"
+//   type == "ball" && radius > 20 => type = "block"; color = "#ffa500"
+//   * => label = "${label}-${seqNum(enriched)}"
+//
+// The condition is a filter expression (see filter-expression.js) over the object's fields,
+// the topic it arrived on and the subscription that matched it. '*' matches everything.
+// Assignments are separated by ';' and each value may use the same ${...} expressions as
+// labels and topic templates. Only the fields below can be changed. Setting ttl restarts the
+// object's time-to-live from now, and 0 takes it away
+
+import {FilterExpression}   from './filter-expression.js';
+import {utils}              from './utils.js';
+
+const stringFields  = ["color", "label", "labelColor"];
+const numberFields  = ["radius", "width", "height", "ttl"];
+const objectTypes   = ["ball", "block"];
+
+const assignmentRegex = /^\s*([A-Za-z]+)\s*=(?!=)\s*(.*?)\s*$/;
+
+
+function unquote(text) {
+  const match = text.match(/^"(.*)"$|^'(.*)'$/);
+  return match ? (match[1] !== undefined ? match[1] : match[2]) : text;
+}
+
+
+export class TransformRule {
+  // Throws an Error saying what is wrong if the text isn't a valid rule
+  constructor(text) {
+    this.text = text;
+
+    const index = text.indexOf("=>");
+    if (index === -1) {
+      throw new Error("a rule needs '=>' between the condition and what to change");
+    }
+    const condition = text.substring(0, index).trim();
+    this.condition  = condition === "*" || condition === "" ? null : new FilterExpression(condition);
+
+    this.assignments = text.substring(index + 2).split(";").filter(a => a.trim()).map(assignment => {
+      const match = assignment.match(assignmentRegex);
+      if (!match) {
+        throw new Error(`'${assignment.trim()}' should be field = value`);
+      }
+      const field = match[1];
+      if (field !== "type" && stringFields.indexOf(field) === -1 && numberFields.indexOf(field) === -1) {
+        throw new Error(`'${field}' can't be changed - use one of type, ${stringFields.concat(numberFields).join(", ")}`);
+      }
+      return {field: field, value: unquote(match[2])};
+    });
+    if (!this.assignments.length) {
+      throw new Error("the rule doesn't change anything");
+    }
+  }
+
+  matches(variables) {
+    return !this.condition || this.condition.test(variables);
+  }
+
+  // Change the object in the envelope. The variables are what the values can refer to
+  apply(env, variables) {
+    const body = env.body;
+    this.assignments.forEach(assignment => {
+      const value = utils.resolveExpression(assignment.value, variables);
+
+      if (assignment.field === "type") {
+        if (objectTypes.indexOf(value) === -1) {
+          console.warn(`Transform rule can't make a '${value}' - only ${objectTypes.join(" or ")}`);
+          return;
+        }
+        convertType(env, value);
+      }
+      else if (numberFields.indexOf(assignment.field) !== -1) {
+        const number = parseFloat(value);
+        if (isNaN(number)) {
+          console.warn(`Transform rule gave ${assignment.field} the value '${value}', which isn't a number`);
+          return;
+        }
+        body[assignment.field] = number;
+
+        // The object's expiry is in the envelope. A new time-to-live starts the clock again, but
+        // an object that arrived already expired stays expired
+        if (assignment.field === "ttl" && !(env.expiresAt && Date.now() > env.expiresAt)) {
+          env.expiresAt = number > 0 ? Date.now() + number * 1000 : undefined;
+        }
+      }
+      else {
+        body[assignment.field] = value;
+      }
+
+      // Later assignments in the rule see the change
+      variables[assignment.field] = assignment.field === "type" ? env.type : body[assignment.field];
+    });
+  }
+}
+
+// Turn the object into another type, keeping about the same size
+function convertType(env, type) {
+  const body = env.body;
+  if (env.type === type) {
+    return;
+  }
+  if (type === "block" && body.radius) {
+    body.width  = body.width  || body.radius * 2;
+    body.height = body.height || body.radius * 2;
+  }
+  else if (type === "ball" && body.width && body.height) {
+    body.radius = body.radius || Math.min(body.width, body.height) / 2;
+  }
+  env.type  = type;
+  body.type = type;
+}
@@ -192,6 +192,37 @@ class TextArea extends Text {
 
 }
 
+// Read-only text. Nothing is shown if there is no value
+class Info extends Input {
+  constructor(app, obj, opts, formInfo) {
+    super(app, obj, opts, formInfo);
+  }
+
+  cssLocal() {
+    return {
+      uiInfo$c: {
+        margin$px:       [-2,0,5,0],
+        fontSize:        "70%",
+        whiteSpace:      "pre-line",
+      },
+    };
+  }
+
+  render() {
+    if (!this.value) {
+      return jst.$div();
+    }
+    return super.renderInput(jst.$div(
+      {class: "-uiInfo", title: this.title},
+      this.value
+    ));
+  }
+
+  getValue() {
+    return this.value;
+  }
+}
+
 class Select extends Input {
   constructor(app, obj, opts, formInfo) {
     super(app, obj, opts, formInfo);
@@ -627,6 +658,7 @@ export class UIInputTypes {
       case "textarea": return TextArea;
       case "select": return Select;
       case "password": return Password;
+      case "info": return Info;
       case "boolean": return Boolean;
       case "color": return Color;
       case "list": return List;
@@ -133,6 +133,10 @@ export class UI extends jst.Component {
           {cn: "-uiButton", title: "Reset", events: {click: e => this.reset()}},
           jst.$i({cn: "fas fa-undo"}),
         ),
+        jst.if(this.state != "playing") && jst.$div(
+          {cn: "-uiButton", title: "Credential Vault", events: {click: e => this.editCredentialVault()}},
+          jst.$i({cn: "fas fa-key"}),
+        ),
         /*
         jst.if(this.state != "playing") && jst.$div(
           {cn: "-uiButton", title: "Clone selected object", events: {click: e => this.clone()}},
@@ -226,6 +230,68 @@ export class UI extends jst.Component {
     this.closeModal();
   }
 
+  // Ask for the passphrase of the encrypted credential vault
+  promptForPassphrase(message) {
+    const form = {
+      save: (data) => data.forget ? this.app.forgetCredentials() : this.app.unlockCredentials(data.passphrase),
+      obj:  {getValue: name => name == "forget" ? false : ""},
+      fields: [
+        {name: "passphrase", type: "password", label: message || "Passphrase"},
+        {name: "forget",     type: "boolean",  label: "Forget the saved credentials", title: "If the passphrase has been lost, start again with an empty vault"},
+      ]
+    }
+    this.showModal({
+      title: "Unlock Broker Credentials",
+      form:  form,
+    })
+  }
+
+  // Ask for the credentials of brokers that don't have any saved, such as in a shared scene
+  promptForCredentials(brokers) {
+    const fields = [];
+    brokers.forEach((broker, i) => {
+      fields.push({name: `username${i}`, type: "text",     label: `${broker.getName()} (${broker.url}) Username`});
+      fields.push({name: `password${i}`, type: "password", label: `${broker.getName()} Password`});
+    });
+    const form = {
+      save:   (data) => brokers.forEach((broker, i) => broker.setCredentials(data[`username${i}`], data[`password${i}`])),
+      obj:    {getValue: name => ""},
+      fields: fields,
+    }
+    this.showModal({
+      title: "Broker Credentials",
+      form:  form,
+    })
+  }
+
+  // Set or remove the passphrase that the credential vault is encrypted with. The message, if
+  // given, says what was wrong last time
+  editCredentialVault(message) {
+    const vault = this.app.credentials;
+    if (vault.isLocked()) {
+      this.promptForPassphrase();
+      return;
+    }
+    const form = {
+      save: (data) => {
+        if (data.passphrase !== data.confirm) {
+          this.editCredentialVault("The passphrases don't match - try again");
+          return;
+        }
+        vault.setPassphrase(data.passphrase).catch(err => console.warn("Couldn't encrypt the credential vault:", err.message));
+      },
+      obj:  {getValue: name => ""},
+      fields: [
+        {name: "passphrase", type: "password", label: message || "Passphrase", title: `Broker credentials are kept in this browser and never put in the config URL. A passphrase encrypts them and is asked for when the page is loaded. Leave it empty to store them unencrypted. The vault is currently ${vault.isEncrypted() ? "encrypted" : "not encrypted"}`},
+        {name: "confirm",    type: "password", label: "Confirm Passphrase"},
+      ]
+    }
+    this.showModal({
+      title: "Credential Vault",
+      form:  form,
+    })
+  }
+
   setPendingSave(val) {
     this.pendingSave = val;
     this.refresh();
@@ -478,7 +544,10 @@ class UIModal extends jst.Component {
       if (form.save) {
         form.save(values);
       }
-      this.ui.closeModal();
+      // Saving may have opened another modal
+      if (this.ui.modal === this) {
+        this.ui.closeModal();
+      }
     }
   
 }
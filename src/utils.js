@@ -196,7 +196,7 @@ export let utils = {
   //   - topicLevel(level) - returns the text at that topic level 
   //   - now() - returns the current date/time is milliseconds since epoch
 
-  // Variables are in the form of ${varname}
+  // Variables are in the form of ${varname} - unknown variables resolve to an empty string
   resolveExpression: (expression, variables) => {
     let re = /\$\{([^}]+)\}/g;
     let match;
@@ -230,7 +230,7 @@ export let utils = {
           return '';
       }
     } else {
-      return variables[expr];
+      return typeof variables[expr] === "undefined" ? '' : variables[expr];
     }
   },
 
@@ -257,6 +257,14 @@ export let utils = {
     return Date.now();
   },
 
+  // Return a deep copy of a JSON-compatible value
+  deepCopy: (value) => {
+    if (value === null || typeof value === 'undefined') {
+      return value;
+    }
+    return JSON.parse(JSON.stringify(value));
+  },
+
   toInt: (str, defaultVal) => {
     let val = parseInt(str);
     if (isNaN(val)) {
@@ -10,6 +10,7 @@ import {Barrier}            from './objects/barrier.js'
 import {Note}               from './objects/note.js'
 import {Broker}             from './objects/broker.js'
 import {Emitter}            from './objects/emitter.js'
+import {envelope}           from './messaging/envelope.js'
 import {PhysicsWorld}       from './physics/physics-world.js'
 import {PhysicsWorldMatter} from './physics/physics-world-matter.js';
 import {PhysicsWorldPlanck} from './physics/physics-world-planck.js';
@@ -198,17 +199,24 @@ export class World {
     return obj;
   }
 
-  addObjectFromMessage(messagePayload, topic) {
+  // Add an object that came in through a portal. The envelope has already been through envelope.open()
+  addObjectFromMessage(env, topic) {
 
-    const guid = messagePayload.guid;
+    if (!envelope.isPortableType(env.type)) {
+      console.warn(`Not adding object of type '${env.type}' from ${topic}`);
+      return;
+    }
+
+    const body = env.body;
+    const guid = body.guid;
 
     // If we prevent duplicates, then check if we already have this object
     if (this.objectsByGuid[guid] && this.objectsByGuid[guid] >= this.maxCopies) {
       return;
     }
 
-    console.log("Adding object", messagePayload, topic);
-    let obj = this.addObject(messagePayload.type, messagePayload, guid, true);
+    console.log("Adding object", env, topic);
+    let obj = this.addObject(env.type, body, guid, true);
     obj.topic = topic;
 
     this.objectsByGuid[guid] = this.objectsByGuid[guid] ? this.objectsByGuid[guid]++ : 1;